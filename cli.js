@@ -0,0 +1,501 @@
+#!/usr/bin/env node
+// cli.js
+const { DEFAULTS, UsageError, BROWSER_LAUNCHERS } = require("./lib/options");
+const { runStress } = require("./lib/stress");
+const { runCapacity } = require("./lib/capacity");
+const { UNTHROTTLED, NETWORK_PROFILES } = require("./lib/network");
+
+// Flag definitions: flag name -> option key, value type and commands it applies to
+const FLAGS = {
+  plan: {
+    key: "plan",
+    type: "string",
+    commands: ["stress", "capacity"],
+    description: "JSON or YAML plan file (flags override its values)",
+  },
+  url: {
+    key: "urls",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description: "Target URL (repeatable or comma-separated)",
+  },
+  path: {
+    key: "paths",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description: "Extra path to test on every target (repeatable)",
+  },
+  users: {
+    key: "users",
+    type: "int",
+    commands: ["stress"],
+    description: "Number of users, each visiting every URL",
+  },
+  stage: {
+    key: "stages",
+    type: "list",
+    commands: ["stress"],
+    description:
+      'Load stage as duration:users, e.g. "2m:200" to ramp to 200 users over 2 minutes (repeatable, replaces --users)',
+  },
+  "arrival-rate": {
+    key: "arrivalRate",
+    type: "number",
+    commands: ["stress"],
+    description:
+      "New visitors per second, each making one visit however many are in flight (replaces --users)",
+    defaultLabel: "none",
+  },
+  duration: {
+    key: "duration",
+    type: "string",
+    commands: ["stress"],
+    description:
+      'How long visitors keep arriving, e.g. "5m" (with --arrival-rate)',
+    defaultLabel: "none",
+  },
+  "max-in-flight": {
+    key: "maxInFlight",
+    type: "int",
+    commands: ["stress"],
+    description: "Drop arrivals while this many visitors are in flight",
+  },
+  "min-users": {
+    key: "minUsers",
+    type: "int",
+    commands: ["capacity"],
+    description: "Users in the first step",
+  },
+  "max-users": {
+    key: "maxUsers",
+    type: "int",
+    commands: ["capacity"],
+    description: "Upper bound for the user count",
+  },
+  step: {
+    key: "stepSize",
+    type: "int",
+    commands: ["capacity"],
+    description: "Users added per step",
+  },
+  search: {
+    key: "search",
+    type: "string",
+    commands: ["capacity"],
+    description:
+      'How to pick step user counts: "linear" (add --step users) or "adaptive" (double until a step fails, then bisect)',
+  },
+  "search-resolution": {
+    key: "searchResolution",
+    type: "int",
+    commands: ["capacity"],
+    description:
+      "Adaptive search stops once the passing and failing user counts are this close",
+  },
+  repeats: {
+    key: "repeats",
+    type: "int",
+    commands: ["capacity"],
+    description:
+      "Runs per load level; with 2 or more, a level only passes if the thresholds hold across the confidence interval",
+  },
+  confidence: {
+    key: "confidence",
+    type: "int",
+    commands: ["capacity"],
+    description: "Confidence level (%) of the intervals: 80, 90, 95 or 99",
+  },
+  "step-duration": {
+    key: "stepDuration",
+    type: "string",
+    commands: ["capacity"],
+    description:
+      'Keep each step\'s users visiting pages for this long, e.g. "1m"',
+    defaultLabel: "one visit per user",
+  },
+  weight: {
+    key: "weights",
+    type: "list",
+    commands: ["capacity"],
+    description:
+      'Traffic share in percent for matching URLs, e.g. "/=50" or "/media*=20" (repeatable)',
+  },
+  "success-threshold": {
+    key: "successThreshold",
+    type: "number",
+    commands: ["capacity"],
+    description: "Minimum success rate (%) for a step to pass",
+  },
+  "response-threshold": {
+    key: "responseThreshold",
+    type: "int",
+    commands: ["capacity"],
+    description:
+      "Maximum response time (ms) for a step to pass: the average, or the --response-percentile",
+  },
+  "response-percentile": {
+    key: "responsePercentile",
+    type: "number",
+    commands: ["capacity"],
+    description:
+      "Apply --response-threshold to this response time percentile instead of the average, e.g. 95 or 99.9 (100 = max)",
+    defaultLabel: "none (average)",
+  },
+  concurrency: {
+    key: "concurrency",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Parallel browser sessions",
+  },
+  "pool-size": {
+    key: "poolSize",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Long-lived browsers per engine shared by the sessions",
+  },
+  timeout: {
+    key: "timeout",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Navigation timeout in ms",
+  },
+  retries: {
+    key: "retries",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Navigation retries per visit",
+  },
+  "delay-min": {
+    key: "delayMin",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Min delay between user actions in ms",
+  },
+  "delay-max": {
+    key: "delayMax",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Max delay between user actions in ms",
+  },
+  "think-time": {
+    key: "thinkTime",
+    type: "string",
+    commands: ["stress", "capacity"],
+    description:
+      'Think time distribution after each visit and journey step, e.g. "constant:ms=1500", "normal:mean=2000,stdDev=500", "exponential:mean=3000,max=20000" or "lognormal:mean=2000,stdDev=1500"',
+    defaultLabel: "uniform delay-min..delay-max after visits",
+  },
+  "output-dir": {
+    key: "outputDir",
+    type: "string",
+    commands: ["stress", "capacity"],
+    description: "Directory for reports and logs",
+  },
+  vitals: {
+    key: "vitals",
+    type: "boolean",
+    commands: ["stress", "capacity"],
+    description:
+      "Capture Web Vitals (TTFB, FCP, LCP, CLS, TBT, INP) of every page visited",
+  },
+  "waterfall-sample": {
+    key: "waterfallSample",
+    type: "number",
+    commands: ["stress", "capacity"],
+    description:
+      "Percent of successful visits to save a request waterfall page for, linked from the report (saved failures always get one)",
+  },
+  sitemap: {
+    key: "sitemap",
+    type: "boolean",
+    commands: ["stress", "capacity"],
+    description: "Add URLs discovered from each origin's sitemap.xml",
+  },
+  "sitemap-limit": {
+    key: "sitemapLimit",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Max sitemap URLs per origin",
+  },
+  crawl: {
+    key: "crawl",
+    type: "boolean",
+    commands: ["stress", "capacity"],
+    description: "Add URLs found by crawling links from each home page",
+  },
+  "crawl-depth": {
+    key: "crawlDepth",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Max link depth from the home page",
+  },
+  "crawl-pages": {
+    key: "crawlPages",
+    type: "int",
+    commands: ["stress", "capacity"],
+    description: "Max pages crawled per origin",
+  },
+  include: {
+    key: "include",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description: 'Only keep discovered URLs matching a pattern, e.g. "/cn/*"',
+  },
+  exclude: {
+    key: "exclude",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description:
+      'Drop discovered URLs (and stop crawling) matching a pattern, e.g. "*logout*"',
+  },
+  har: {
+    key: "har",
+    type: "string",
+    commands: ["stress", "capacity"],
+    description: "Replay the page navigations of a HAR file as a journey",
+    defaultLabel: "none",
+  },
+  "har-think-scale": {
+    key: "harThinkScale",
+    type: "number",
+    commands: ["stress", "capacity"],
+    description:
+      "Multiplier for the think times between HAR navigations (0 = no pauses)",
+  },
+  browser: {
+    key: "browsers",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description: `Browser engine: ${Object.keys(BROWSER_LAUNCHERS).join(
+      ", "
+    )}, optionally with a share of users, e.g. "firefox=20" (repeatable)`,
+  },
+  device: {
+    key: "devices",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description:
+      'Playwright device profile with a share of users, e.g. "iPhone 14=60" or "Desktop" (repeatable)',
+    defaultLabel: "Desktop",
+  },
+  network: {
+    key: "networks",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description: `Network profile for Chromium users: ${Object.keys(
+      NETWORK_PROFILES
+    ).join(
+      ", "
+    )}, optionally with a share of users, e.g. "Slow 3G=30" (repeatable)`,
+    defaultLabel: UNTHROTTLED,
+  },
+  locale: {
+    key: "locales",
+    type: "list",
+    commands: ["stress", "capacity"],
+    description:
+      'Locale code with the URL pattern of its pages, e.g. "zh-CN:/cn/*" or "zh-CN:?lang=cn"; a code without a pattern covers the other URLs (repeatable)',
+  },
+};
+
+const COMMANDS = {
+  stress:
+    "Fixed-load run: every user visits every URL once, or loops over them through time-based stages",
+  capacity: "Stepped run: increase users until the thresholds fail",
+};
+
+function formatDefault(value) {
+  if (value === null || value === undefined) return "auto";
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "none";
+  return String(value);
+}
+
+function getHelpText(command) {
+  if (!command) {
+    return `Usage: playwright-stress-test <command> [options]
+
+Commands:
+${Object.entries(COMMANDS)
+  .map(([name, description]) => `  ${name.padEnd(10)} ${description}`)
+  .join("\n")}
+
+Run "playwright-stress-test <command> --help" for command options.`;
+  }
+
+  const defaults = DEFAULTS[command];
+  const lines = Object.entries(FLAGS)
+    .filter(([, flag]) => flag.commands.includes(command))
+    .map(([name, flag]) => {
+      // Switches that default to on are turned off with --no-<name>
+      const label =
+        flag.type === "boolean" && defaults[flag.key] === true
+          ? `[no-]${name}`
+          : name;
+      const valueHint =
+        flag.type === "boolean"
+          ? ""
+          : flag.type === "string" || flag.type === "list"
+          ? " <value>"
+          : " <n>";
+      const defaultValue =
+        flag.key === "urls"
+          ? Object.keys(defaults.domains).join(", ")
+          : flag.defaultLabel
+          ? flag.defaultLabel
+          : flag.key in defaults
+          ? formatDefault(defaults[flag.key])
+          : null;
+      return `  --${(label + valueHint).padEnd(28)} ${flag.description}${
+        defaultValue !== null ? ` [default: ${defaultValue}]` : ""
+      }`;
+    });
+
+  return `Usage: playwright-stress-test ${command} [options]
+
+${COMMANDS[command]}
+
+Options:
+${lines.join("\n")}
+  --${"help".padEnd(28)} Show this help`;
+}
+
+// Convert a raw flag value according to its declared type
+function parseValue(name, flag, raw) {
+  if (flag.type === "boolean") {
+    if (raw === undefined || raw === "true") return true;
+    if (raw === "false") return false;
+    throw new UsageError(`--${name} expects true or false (got "${raw}")`);
+  }
+
+  if (raw === undefined || raw === "") {
+    throw new UsageError(`Missing value for --${name}`);
+  }
+
+  if (flag.type === "int") {
+    if (!/^-?\d+$/.test(raw)) {
+      throw new UsageError(`--${name} expects an integer (got "${raw}")`);
+    }
+    return parseInt(raw, 10);
+  }
+
+  if (flag.type === "number") {
+    const value = Number(raw);
+    if (Number.isNaN(value)) {
+      throw new UsageError(`--${name} expects a number (got "${raw}")`);
+    }
+    return value;
+  }
+
+  if (flag.type === "list") {
+    return raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+  }
+
+  return raw;
+}
+
+// Parse argv (without node and script) into { command, options, help }
+function parseArgs(argv) {
+  const args = [...argv];
+  const result = { command: null, options: {}, help: false };
+
+  if (args.length > 0 && !args[0].startsWith("-")) {
+    result.command = args.shift();
+    if (!COMMANDS[result.command]) {
+      throw new UsageError(`Unknown command: ${result.command}`);
+    }
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    if (arg === "--help" || arg === "-h") {
+      result.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith("--")) {
+      throw new UsageError(`Unexpected argument: ${arg}`);
+    }
+
+    let name = arg.slice(2);
+    let raw;
+    const equalsIndex = name.indexOf("=");
+    if (equalsIndex !== -1) {
+      raw = name.slice(equalsIndex + 1);
+      name = name.slice(0, equalsIndex);
+    }
+
+    // --no-<name> turns a switch off
+    if (
+      !FLAGS[name] &&
+      name.startsWith("no-") &&
+      FLAGS[name.slice(3)] &&
+      FLAGS[name.slice(3)].type === "boolean" &&
+      raw === undefined
+    ) {
+      name = name.slice(3);
+      raw = "false";
+    }
+
+    const flag = FLAGS[name];
+    if (!flag) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+    if (result.command && !flag.commands.includes(result.command)) {
+      throw new UsageError(
+        `--${name} is not supported by the ${result.command} command`
+      );
+    }
+
+    if (raw === undefined && flag.type !== "boolean") {
+      raw = args.shift();
+    } else if (raw === undefined && ["true", "false"].includes(args[0])) {
+      raw = args.shift();
+    }
+    const value = parseValue(name, flag, raw);
+
+    if (flag.type === "list") {
+      result.options[flag.key] = (result.options[flag.key] || []).concat(value);
+    } else {
+      result.options[flag.key] = value;
+    }
+  }
+
+  return result;
+}
+
+async function main(argv) {
+  const { command, options, help } = parseArgs(argv);
+
+  if (help || !command) {
+    console.log(getHelpText(command));
+    if (!command && !help) {
+      process.exitCode = 2;
+    }
+    return;
+  }
+
+  if (command === "stress") {
+    await runStress(options);
+  } else {
+    await runCapacity(options);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).catch((error) => {
+    if (error instanceof UsageError) {
+      console.error(`Error: ${error.message}`);
+      console.error("Run with --help to see the available options.");
+      process.exitCode = 2;
+    } else {
+      console.error(error);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = { parseArgs, getHelpText };
@@ -0,0 +1,814 @@
+// index.d.ts
+
+export type BrowserName = "chromium" | "firefox" | "webkit";
+
+/** An engine, optionally with its share of users in percent */
+export type BrowserEntry =
+  | BrowserName
+  | `${BrowserName}=${number}`
+  | { engine: BrowserName; share?: number };
+
+/** "Desktop" or a Playwright device name, optionally with its share of users */
+export type DeviceEntry = string | { name: string; share?: number };
+
+/**
+ * "Unthrottled", a built-in profile ("Slow 3G", "Fast 3G", "Slow 4G",
+ * "Fast 4G") or a custom one, optionally with its share of users
+ */
+export type NetworkEntry =
+  | string
+  | {
+      name: string;
+      share?: number;
+      /** Added round-trip latency in ms */
+      latency?: number;
+      /** kbit/s, 0 = unlimited */
+      download?: number;
+      /** kbit/s, 0 = unlimited */
+      upload?: number;
+    };
+
+/** "code" or "code:pattern" as on the CLI, e.g. "zh-CN:/cn/*" */
+export type LocaleEntry = string | Locale;
+
+export interface Locale {
+  /** Label in reports (default: locale) */
+  name?: string;
+  /**
+   * Path prefixes ("/cn/*") or query parameters ("?lang=cn") of the locale's
+   * pages. Omit for the locale of every URL no other locale matches.
+   */
+  match?: string | string[];
+  /** Browser locale, e.g. "zh-CN" */
+  locale?: string;
+  /** IANA timezone, e.g. "Asia/Shanghai" */
+  timezone?: string;
+  /** Accept-Language header (default: locale) */
+  acceptLanguage?: string;
+}
+
+/** Think time distribution; all values in ms */
+export type ThinkTime =
+  | { distribution: "constant"; ms: number }
+  | { distribution: "uniform"; min: number; max: number }
+  | {
+      distribution: "normal" | "lognormal";
+      mean: number;
+      stdDev: number;
+      min?: number;
+      max?: number;
+    }
+  | { distribution: "exponential"; mean: number; min?: number; max?: number };
+
+/** Actions a think time can be set for; "default" covers the others */
+export type ThinkTimeAction =
+  | "default"
+  | "visit"
+  | Exclude<JourneyStep["action"], "pause">;
+
+export interface Logger {
+  log(...args: unknown[]): void;
+  error(...args: unknown[]): void;
+}
+
+/** Options shared by both runners. Anything omitted falls back to DEFAULTS. */
+export interface CommonOptions {
+  /** Plan file path or an already-parsed plan object; other options override it */
+  plan?: string | Plan;
+  /** Origin -> paths map; the origin root is always visited */
+  domains?: Record<string, string[]>;
+  /** Full target URLs, grouped by origin (replaces domains) */
+  urls?: string[];
+  /** Extra paths visited on every origin */
+  paths?: string[];
+  concurrency?: number | null;
+  /** Long-lived browsers per engine; null = min(CPU count, concurrency / 4) */
+  poolSize?: number | null;
+  delayMin?: number;
+  delayMax?: number;
+  /**
+   * Think time after each visit and journey step: one distribution, a CLI
+   * string such as "normal:mean=2000,stdDev=500", or distributions per
+   * action. Default: uniform between delayMin and delayMax after visits,
+   * none after journey steps. HAR replays only think in their pauses.
+   */
+  thinkTime?:
+    | ThinkTime
+    | string
+    | Partial<Record<ThinkTimeAction, ThinkTime>>
+    | null;
+  timeout?: number;
+  retries?: number;
+  outputDir?: string;
+  /** Engines, optionally with a share of users: "firefox=20" or { engine, share } */
+  browsers?: BrowserEntry[];
+  /**
+   * Device profiles, optionally with a share of users: "iPhone 14=60" or
+   * { name, share }. "Desktop" is the default 1280x720 profile.
+   */
+  devices?: DeviceEntry[];
+  /**
+   * Network profiles for Chromium users, optionally with a share of users:
+   * "Slow 3G=30" or { name, share, latency, ... }. Other engines run
+   * unthrottled.
+   */
+  networks?: NetworkEntry[];
+  /** Language versions whose pages are compared in the report */
+  locales?: LocaleEntry[];
+  /** Add URLs discovered from each origin's sitemap */
+  sitemap?: boolean;
+  /** Max sitemap URLs per origin */
+  sitemapLimit?: number;
+  /** Add URLs found by crawling same-origin links from each home page */
+  crawl?: boolean;
+  crawlDepth?: number;
+  /** Max pages crawled per origin */
+  crawlPages?: number;
+  /** Glob patterns ("*" = anything) discovered URLs must match */
+  include?: string[];
+  /** Glob patterns that drop discovered URLs and stop the crawler following them */
+  exclude?: string[];
+  /** Scripted journeys, run by virtual users instead of single-page visits */
+  journeys?: Journey[];
+  /** HAR file whose page navigations are replayed as an extra journey */
+  har?: string | null;
+  /** Multiplier for the think times recorded in the HAR (default 1) */
+  harThinkScale?: number;
+  /**
+   * Capture Web Vitals (TTFB, FCP, LCP, CLS, TBT, INP) of every page
+   * visited (default true)
+   */
+  vitals?: boolean;
+  /**
+   * Percent of successful visits to save a request waterfall page for,
+   * linked from the report; saved failures always get one (default 0)
+   */
+  waterfallSample?: number;
+  /** Write HTML reports (default true) */
+  report?: boolean;
+  /** Log every visit */
+  verbose?: boolean;
+  logger?: Logger;
+}
+
+/** Seconds, or a string such as "90s", "2m" or "1m30s" */
+export type Duration = number | string;
+
+export interface Stage {
+  /** Label in reports (default: e.g. "Ramp up to 200") */
+  name?: string;
+  duration: Duration;
+  /** Virtual users at the end of the stage, ramping from the previous one */
+  target: number;
+}
+
+export interface StressOptions extends CommonOptions {
+  users?: number;
+  /**
+   * Time-based load stages, or "duration:target" strings as on the CLI.
+   * Replaces users: virtual users loop over the URLs (or journeys) until
+   * the last stage ends.
+   */
+  stages?: (Stage | string)[];
+  /**
+   * New visitors per second, each making one visit however many are still
+   * in flight (open model). Replaces users; requires duration.
+   */
+  arrivalRate?: number | null;
+  /** How long visitors keep arriving */
+  duration?: Duration | null;
+  /** Arrivals are dropped while this many visitors are in flight (default 100) */
+  maxInFlight?: number;
+}
+
+export type CapacitySearch = "linear" | "adaptive";
+
+export type ConfidenceLevel = 80 | 90 | 95 | 99;
+
+export interface CapacityOptions extends CommonOptions {
+  minUsers?: number;
+  maxUsers?: number;
+  /** Users added per step by linear search */
+  stepSize?: number;
+  /**
+   * "linear" adds stepSize users per step; "adaptive" doubles the users
+   * until a step fails, then bisects (default "linear")
+   */
+  search?: CapacitySearch;
+  /** Adaptive search stops once pass and fail are this many users apart */
+  searchResolution?: number;
+  /**
+   * Runs per load level (default 1). With 2 or more, a level only passes if
+   * the thresholds hold across the confidence interval.
+   */
+  repeats?: number;
+  /** Confidence level (%) of those intervals (default 95) */
+  confidence?: ConfidenceLevel;
+  /** Keep each step's users looping over pages this long (default: one visit each) */
+  stepDuration?: Duration | null;
+  successThreshold?: number;
+  /** ms; applies to the average, or to responsePercentile when set */
+  responseThreshold?: number;
+  /** Percentile (0-100] the response threshold applies to; null = average */
+  responsePercentile?: number | null;
+  /** Traffic mix rules, or "pattern=weight" strings as on the CLI */
+  weights?: (WeightRule | string)[];
+}
+
+export interface WeightRule {
+  /** Glob pattern matched against the path (and full URL) */
+  match: string;
+  /** Share of users in percent */
+  weight: number;
+}
+
+export type JourneyStep = {
+  /** Label used in reports */
+  name?: string;
+  /** Step timeout in ms (default: the navigation timeout) */
+  timeout?: number;
+  /** Think time after this step (default: the configured think time) */
+  thinkTime?: ThinkTime;
+} & (
+  | { action: "navigate"; url: string }
+  | { action: "click"; selector: string }
+  | { action: "fill"; selector: string; value: string }
+  | { action: "waitFor"; selector: string }
+  | { action: "scroll"; pixels: number }
+  | { action: "pause"; ms: number }
+);
+
+export interface Journey {
+  name: string;
+  /** Origin relative navigate URLs resolve against (default: first target) */
+  baseUrl?: string;
+  /** Set on journeys replayed from a HAR; they think in their pauses only */
+  replay?: boolean;
+  steps: JourneyStep[];
+}
+
+export interface Plan {
+  name?: string;
+  targets: { url: string; paths?: string[] }[];
+  discovery?: {
+    sitemap?: boolean;
+    sitemapLimit?: number;
+    crawl?: boolean;
+    crawlDepth?: number;
+    crawlPages?: number;
+    include?: string[];
+    exclude?: string[];
+  };
+  load?: {
+    users?: number;
+    stages?: Stage[];
+    arrivalRate?: number;
+    duration?: Duration;
+    maxInFlight?: number;
+    minUsers?: number;
+    maxUsers?: number;
+    stepSize?: number;
+    search?: CapacitySearch;
+    searchResolution?: number;
+    repeats?: number;
+    stepDuration?: Duration;
+    concurrency?: number;
+    poolSize?: number;
+    retries?: number;
+  };
+  /** Capacity only; stress runs reject a traffic mix */
+  traffic?: WeightRule[];
+  journeys?: Journey[];
+  /** har is relative to the plan file */
+  replay?: { har: string; thinkTimeScale?: number };
+  delay?: { min?: number; max?: number };
+  thinkTime?: ThinkTime | Partial<Record<ThinkTimeAction, ThinkTime>>;
+  timeouts?: { navigation?: number };
+  thresholds?: {
+    successRate?: number;
+    responseTime?: number;
+    responsePercentile?: number;
+    confidence?: ConfidenceLevel;
+  };
+  browsers?: (BrowserName | { engine: BrowserName; share?: number })[];
+  devices?: DeviceEntry[];
+  networks?: NetworkEntry[];
+  locales?: Locale[];
+  metrics?: { vitals?: boolean; waterfallSample?: number };
+  output?: { dir?: string };
+}
+
+/**
+ * Response times in log-scaled buckets 1% wide: bucket 0 holds values
+ * below 1ms, bucket i covers [1.01^(i-1), 1.01^i) ms
+ */
+export interface Histogram {
+  count: number;
+  /** ms; null while empty */
+  min: number | null;
+  max: number | null;
+  /** Counts keyed by bucket index; empty buckets are left out */
+  buckets: Record<string, number>;
+}
+
+/** Response time percentiles in ms (0 when nothing was measured) */
+export interface Percentiles {
+  p50: number;
+  p75: number;
+  p90: number;
+  p95: number;
+  p99: number;
+  max: number;
+}
+
+export type VitalName = "ttfb" | "fcp" | "lcp" | "cls" | "tbt" | "inp";
+
+/** One Web Vital over the pages measured; ms except for CLS */
+export interface VitalMetrics {
+  /** Pages the vital was measured on */
+  count: number;
+  total: number;
+  /** CLS is recorded scaled by 1000 */
+  histogram: Histogram;
+  /** null when nothing was measured */
+  avg: number | null;
+  p75: number | null;
+}
+
+export type VitalsMetrics = Record<VitalName, VitalMetrics>;
+
+export interface PathVitals {
+  domain: string;
+  path: string;
+  vitals: VitalsMetrics;
+}
+
+export type NavigationPhase =
+  | "dns"
+  | "connect"
+  | "tls"
+  | "ttfb"
+  | "download"
+  | "dom";
+
+/** Navigation Timing phases over the visits measured, in ms */
+export interface NavigationTiming {
+  /** Visits measured */
+  count: number;
+  total: Record<NavigationPhase, number>;
+  /** null when nothing was measured */
+  avg: Record<NavigationPhase, number | null>;
+}
+
+export interface PathNavigationTiming {
+  domain: string;
+  path: string;
+  timing: NavigationTiming;
+}
+
+/** Sub-resource requests of a group; latency is request sent to response received, in ms */
+export interface LatencyMetrics {
+  requests: number;
+  /** Error responses (4xx/5xx) and requests that got no response */
+  failures: number;
+  responses: number;
+  totalLatency: number;
+  histogram: Histogram;
+  avgLatency: number;
+  p95Latency: number;
+}
+
+export interface HostResources extends LatencyMetrics {
+  host: string;
+  /** A host other than the visited page's */
+  thirdParty: boolean;
+}
+
+export interface AssetResources extends HostResources {
+  /** Origin + path */
+  url: string;
+  resourceType: string;
+  /** Counts keyed by "HTTP 404" or the browser's error, e.g. "net::ERR_ABORTED" */
+  errors: Record<string, number>;
+}
+
+export interface ResourceMetrics extends LatencyMetrics {
+  /** Keyed by resource type (script, image, ...) */
+  byType: Record<string, LatencyMetrics>;
+  /** Keyed by host */
+  byHost: Record<string, HostResources>;
+  /** Keyed by origin + path */
+  assets: Record<string, AssetResources>;
+}
+
+/** Bytes the visited pages cost, from Resource Timing */
+export interface TransferMetrics {
+  visits: number;
+  /** Bytes over the network, headers included */
+  transferred: number;
+  /** Bytes after decompression */
+  decoded: number;
+  /** Of a single visit */
+  maxTransferred: number;
+  requests: number;
+  /** Cross-origin resources without Timing-Allow-Origin, which report no sizes */
+  unmeasured: number;
+  /** Resources served from the browser's cache */
+  browserCached: number;
+  /** Keyed by resource type */
+  byType: Record<
+    string,
+    { requests: number; transferred: number; decoded: number }
+  >;
+  /** Text responses keyed by content encoding, "none" when uncompressed */
+  compression: Record<string, number>;
+  /** Responses keyed by CDN cache status ("HIT", "MISS", ...), "none" without a cache header */
+  cdnCache: Record<string, number>;
+  avgTransferred: number;
+  avgDecoded: number;
+  /** Transferred bytes over the run's duration */
+  bytesPerSecond: number;
+}
+
+export interface PathTransfer {
+  domain: string;
+  path: string;
+  transfer: TransferMetrics;
+}
+
+export interface PathMetrics {
+  domain: string;
+  path: string;
+  requests: number;
+  successes: number;
+  totalResponseTime: number;
+  successRate: number;
+  avgResponseTime: number;
+  histogram: Histogram;
+  percentiles: Percentiles;
+  /** Visits followed by think time, and that think time in ms */
+  thinkCount: number;
+  totalThinkTime: number;
+  avgThinkTime: number;
+  /** Request waterfall pages saved for visits to the path, at most 5 */
+  waterfalls: WaterfallLink[];
+}
+
+export interface WaterfallLink {
+  /** Relative to the output directory */
+  href: string;
+  /** null for visits that got no response */
+  statusCode: number | null;
+}
+
+export interface JourneyStepMetrics {
+  label: string;
+  action: JourneyStep["action"];
+  /** Times the step was attempted */
+  runs: number;
+  successes: number;
+  /** Time spent on the step itself, without the think time after it */
+  totalTime: number;
+  totalThinkTime: number;
+  successRate: number;
+  avgTime: number;
+  avgThinkTime: number;
+}
+
+export interface JourneyMetrics {
+  name: string;
+  runs: number;
+  /** Runs where every step succeeded */
+  completed: number;
+  totalDuration: number;
+  totalThinkTime: number;
+  successRate: number;
+  /** Average duration of completed runs in ms, think time included */
+  avgDuration: number;
+  /** Average think time of completed runs in ms */
+  avgThinkTime: number;
+  steps: JourneyStepMetrics[];
+  errors: { step: string; errorMessage: string }[];
+}
+
+export interface ErrorDetail {
+  errorType: string;
+  statusCode: number | null;
+  errorMessage: string;
+}
+
+export interface ErrorTypeSummary {
+  count: number;
+  examples: { url: string; errorMessage: string }[];
+}
+
+export interface LocaleMetrics {
+  requests: number;
+  successes: number;
+  totalResponseTime: number;
+  successRate: number;
+  avgResponseTime: number;
+}
+
+/** One logical page (e.g. /about-us and /cn/about-us) across locales */
+export interface LocalePageMetrics {
+  domain: string;
+  /** Path with the locale prefix removed */
+  page: string;
+  /** Keyed by locale name; "Default" for URLs no locale matches */
+  locales: Record<string, LocaleMetrics>;
+}
+
+/** Metrics of the visits made by users sharing an engine, device, ... */
+export interface BreakdownMetrics {
+  /** Engine display name (e.g. "Firefox"), device or network profile name */
+  name: string;
+  /** Virtual users in the group */
+  users: number;
+  requests: number;
+  successes: number;
+  totalResponseTime: number;
+  successRate: number;
+  avgResponseTime: number;
+  /** Error type -> count */
+  errorTypes: Record<string, number>;
+}
+
+/** Browser pool usage during a run or capacity step */
+export interface BrowserPoolStats {
+  /** Max browsers per engine */
+  size: number;
+  /** Browsers that served at least one session */
+  instances: number;
+  /** Browsers launched, including relaunches */
+  launches: number;
+  /** Browsers that disconnected unexpectedly */
+  crashes: number;
+}
+
+/** A stage laid out on the run's timeline */
+export interface StageTiming {
+  name: string;
+  /** ms from the start of the run */
+  start: number;
+  end: number;
+  /** Users at the start and end of the stage */
+  from: number;
+  target: number;
+}
+
+/** Load during one interval of a staged run */
+export interface TimelineSample {
+  /** Seconds from the start of the run */
+  time: number;
+  targetUsers: number;
+  activeUsers: number;
+  requests: number;
+  failures: number;
+  requestsPerSecond: number;
+  successRate: number;
+  avgResponseTime: number;
+}
+
+/** Open-model arrival counts */
+export interface ArrivalStats {
+  /** Target visitors per second */
+  rate: number;
+  /** ms */
+  duration: number;
+  maxInFlight: number;
+  scheduled: number;
+  started: number;
+  /** Arrivals skipped because maxInFlight visitors were in flight */
+  dropped: number;
+  /** Arrivals started over 250ms behind schedule */
+  late: number;
+  /** ms */
+  maxLateness: number;
+  peakInFlight: number;
+  /** Started visitors per second */
+  achievedRate: number;
+}
+
+/** Browser sessions actually in flight, against the users asked for */
+export interface ConcurrencyStats {
+  /** Users the run or step asked for; null for open-model runs */
+  requested: number | null;
+  /** Most sessions allowed at once */
+  limit: number;
+  /** Time-weighted average of sessions in flight */
+  average: number;
+  peak: number;
+  /** Sampled every 500ms; time in seconds from the start */
+  samples: { time: number; sessions: number }[];
+}
+
+export interface ThinkTimeMetrics {
+  count: number;
+  /** ms */
+  total: number;
+  avg: number;
+}
+
+/** Metrics of a stress run or of one capacity step */
+export interface RunResults {
+  userCount: number;
+  startTime: number;
+  endTime: number;
+  totalRequests: number;
+  successfulRequests: number;
+  failedRequests: number;
+  responseTimeTotal: number;
+  avgResponseTime: number;
+  /** Percentage, 0-100 */
+  successRate: number;
+  requestsPerSecond: number;
+  /** Every successful response time */
+  responseTimeHistogram: Histogram;
+  percentiles: Percentiles;
+  responseTimeBuckets: Record<string, number>;
+  errorTypes: Record<string, ErrorTypeSummary>;
+  statusCodeCounts: Record<string, number>;
+  /** Keyed by origin + path */
+  pathMetrics: Record<string, PathMetrics>;
+  errorsByPath: Record<string, ErrorDetail[]>;
+  /** Keyed by journey name; empty unless journeys are configured */
+  journeyMetrics: Record<string, JourneyMetrics>;
+  /** Keyed by engine display name */
+  engineMetrics: Record<string, BreakdownMetrics>;
+  /** Keyed by device profile name */
+  deviceMetrics: Record<string, BreakdownMetrics>;
+  /** Keyed by network profile name */
+  networkMetrics: Record<string, BreakdownMetrics>;
+  /** Think time, kept out of the response times; byAction is keyed by action */
+  thinkTime: ThinkTimeMetrics & {
+    byAction: Record<string, ThinkTimeMetrics>;
+  };
+  /** Keyed by origin + logical page; empty unless locales are configured */
+  localeMetrics: Record<string, LocalePageMetrics>;
+  vitals: VitalsMetrics;
+  /** Keyed by origin + path */
+  vitalsByPath: Record<string, PathVitals>;
+  /** Phases of each successful visit's page load */
+  navigationTiming: NavigationTiming;
+  /** Keyed by origin + path */
+  navigationTimingByPath: Record<string, PathNavigationTiming>;
+  /** Sub-resources requested by the visited pages, the pages themselves left out */
+  resources: ResourceMetrics;
+  /** Bytes of each successful visit's page and its resources */
+  transfer: TransferMetrics;
+  /** Keyed by origin + path */
+  transferByPath: Record<string, PathTransfer>;
+  concurrencyLimit: number;
+  concurrency: ConcurrencyStats;
+  browserPool: BrowserPoolStats;
+  /** Staged runs only (stages or stepDuration) */
+  stages?: StageTiming[];
+  timeline?: TimelineSample[];
+  /** Staged runs only: virtual users started over the run */
+  totalUsers?: number;
+  /** Open-model runs only */
+  arrivals?: ArrivalStats;
+  reportPath?: string;
+}
+
+export interface DiscoveredUrl {
+  url: string;
+  source: "sitemap" | "crawl";
+  /** Crawl only: link depth from the home page */
+  depth?: number;
+  /** Crawl only: page the link was found on */
+  referrer?: string | null;
+}
+
+export interface StressResults extends RunResults {
+  /** Every URL in the test queue */
+  urls: string[];
+  discoveredUrls: DiscoveredUrl[];
+  /** Where the crawl log was written, when crawling was enabled */
+  crawlPath?: string;
+}
+
+export interface TrafficMixEntry {
+  domain: string;
+  path: string;
+  /** Percent of users the weights aimed at this path */
+  intended: number;
+  /** Percent of requests that actually went to this path */
+  actual: number;
+  requests: number;
+}
+
+export interface StepResults extends RunResults {
+  passed: boolean;
+  /**
+   * How the search picked this step's user count: "step" (linear), "grow"
+   * (adaptive, before the first failure) or "search" (adaptive bisection)
+   */
+  phase: "step" | "grow" | "search";
+  /** Which run of its load level this was, from 1 */
+  repeat: number;
+  /** Present when weights are configured; keyed by origin + path */
+  trafficMix?: Record<string, TrafficMixEntry>;
+}
+
+/** Measurement over the runs of a load level */
+export interface SampleSummary {
+  mean: number;
+  /** Sample standard deviation; null for a single run */
+  stdDev: number | null;
+  /** Confidence interval of the mean; null for a single run */
+  low: number | null;
+  high: number | null;
+}
+
+/** One load level of a capacity run, summarized over its runs */
+export interface LevelResults {
+  userCount: number;
+  phase: StepResults["phase"];
+  runs: number;
+  /** Judged by the low end of the successRate and the high end of the responseTime intervals */
+  passed: boolean;
+  successRate: SampleSummary;
+  avgResponseTime: SampleSummary;
+  /** The response time the threshold applies to: the average or the responsePercentile */
+  responseTime: SampleSummary;
+  /** Over the response times of all runs */
+  percentiles: Percentiles;
+  requestsPerSecond: SampleSummary;
+  /** Over the pages of all runs */
+  vitals: VitalsMetrics;
+  /** Over the visits of all runs */
+  navigationTiming: NavigationTiming;
+  resources: ResourceMetrics;
+  transfer: TransferMetrics;
+  concurrency: {
+    limit: number;
+    average: SampleSummary;
+    peak: SampleSummary;
+  };
+}
+
+export interface CapacityResults {
+  startTime: number;
+  endTime: number;
+  durationSeconds: number;
+  /** Mean average concurrency of the last passing level, 0 if none passed */
+  maxCapacity: number;
+  /** Mean peak concurrency of the last passing level, 0 if none passed */
+  peakCapacity: number;
+  /** Users requested by the last passing level, 0 if none passed */
+  maxRequestedUsers: number;
+  lastSuccessfulLevel: LevelResults | null;
+  /** Last run of the last passing level */
+  lastSuccessfulStep: StepResults | null;
+  /** Load levels in the order they were probed */
+  levels: LevelResults[];
+  /** Every run of every level */
+  steps: StepResults[];
+  urls: string[];
+  discoveredUrls: DiscoveredUrl[];
+  crawlPath?: string;
+  /** Across all steps, when weights are configured */
+  trafficMix?: Record<string, TrafficMixEntry>;
+  /** Across all steps, when locales are configured */
+  localeMetrics?: Record<string, LocalePageMetrics>;
+  outputDir: string;
+  reportPath?: string;
+}
+
+export function runStress(options?: StressOptions): Promise<StressResults>;
+export function runCapacity(
+  options?: CapacityOptions
+): Promise<CapacityResults>;
+
+export const DEFAULTS: {
+  stress: Required<Omit<StressOptions, "plan" | "urls" | "paths">>;
+  capacity: Required<Omit<CapacityOptions, "plan" | "urls" | "paths">>;
+};
+
+export function resolveOptions(
+  command: "stress" | "capacity",
+  options?: StressOptions | CapacityOptions
+): Record<string, unknown>;
+
+export function parsePlan(text: string, filePath?: string): Plan;
+export function loadPlan(filePath: string): Plan;
+export function planToOptions(
+  plan: Plan,
+  command: "stress" | "capacity"
+): StressOptions & CapacityOptions;
+
+export class UsageError extends Error {}
+
+export interface PlanIssue {
+  line: number;
+  column: number;
+  path: string | null;
+  message: string;
+}
+
+export class PlanError extends UsageError {
+  filePath: string;
+  issues: PlanIssue[];
+}
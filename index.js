@@ -0,0 +1,17 @@
+// index.js
+const { runStress } = require("./lib/stress");
+const { runCapacity } = require("./lib/capacity");
+const { DEFAULTS, UsageError, resolveOptions } = require("./lib/options");
+const { PlanError, parsePlan, loadPlan, planToOptions } = require("./lib/plan");
+
+module.exports = {
+  runStress,
+  runCapacity,
+  DEFAULTS,
+  resolveOptions,
+  parsePlan,
+  loadPlan,
+  planToOptions,
+  UsageError,
+  PlanError,
+};
@@ -0,0 +1,105 @@
+// lib/browser-pool.js
+const os = require("os");
+
+// Browsers per engine: the configured size, or one per 4 concurrent users
+// up to the CPU count
+function getPoolSize(poolSize, concurrencyLimit) {
+  if (poolSize) return poolSize;
+  return Math.max(
+    1,
+    Math.min(os.cpus().length, Math.ceil(concurrencyLimit / 4))
+  );
+}
+
+// Shared pool of long-lived browsers, at most `size` per engine. Virtual
+// users get a fresh context on the least busy browser; browsers that
+// disconnect unexpectedly are dropped and relaunched on next use.
+function createBrowserPool(size, logger = console) {
+  const entries = [];
+  let closing = false;
+
+  // Usage since the last takeStats() call
+  let used = new Set();
+  let launches = 0;
+  let crashes = 0;
+
+  function remove(entry) {
+    const index = entries.indexOf(entry);
+    if (index !== -1) entries.splice(index, 1);
+  }
+
+  function launch(browserType) {
+    const entry = { browserType, browser: null, active: 0 };
+    entry.ready = browserType.launcher
+      .launch({ ignoreHTTPSErrors: true, headless: true })
+      .then((browser) => {
+        entry.browser = browser;
+        browser.on("disconnected", () => {
+          if (closing || !entries.includes(entry)) return;
+          crashes++;
+          remove(entry);
+          logger.error(
+            `${browserType.name} browser disconnected, relaunching on next use`
+          );
+        });
+        return browser;
+      });
+
+    launches++;
+    entries.push(entry);
+    return entry;
+  }
+
+  // Reserve a browser of the given engine, launching one if every
+  // running browser is busy and the pool is not full
+  async function acquire(browserType) {
+    const candidates = entries.filter(
+      (entry) =>
+        entry.browserType === browserType &&
+        (!entry.browser || entry.browser.isConnected())
+    );
+    candidates.sort((a, b) => a.active - b.active);
+
+    let entry = candidates[0];
+    if (!entry || (entry.active > 0 && candidates.length < size)) {
+      entry = launch(browserType);
+    }
+
+    entry.active++;
+    used.add(entry);
+    try {
+      await entry.ready;
+    } catch (error) {
+      entry.active--;
+      remove(entry);
+      throw error;
+    }
+    return entry;
+  }
+
+  function release(entry) {
+    entry.active--;
+  }
+
+  function takeStats() {
+    const stats = { size, instances: used.size, launches, crashes };
+    used = new Set(entries.filter((entry) => entry.active > 0));
+    launches = 0;
+    crashes = 0;
+    return stats;
+  }
+
+  async function close() {
+    closing = true;
+    await Promise.all(
+      entries.map((entry) =>
+        entry.ready.then((browser) => browser.close()).catch(() => {})
+      )
+    );
+    entries.length = 0;
+  }
+
+  return { acquire, release, takeStats, close };
+}
+
+module.exports = { createBrowserPool, getPoolSize };
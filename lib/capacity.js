@@ -0,0 +1,424 @@
+// lib/capacity.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveOptions } = require("./options");
+const { applyPlan } = require("./plan");
+const { createResults, recordUser, finalizeResults } = require("./results");
+const { getAllUrls } = require("./targets");
+const { discoverUrls } = require("./discovery");
+const {
+  getTrafficShares,
+  createUrlPicker,
+  getTrafficMix,
+} = require("./traffic");
+const { finalizeJourneyMetrics } = require("./journeys");
+const { finalizeLocaleMetrics, combineLocaleMetrics } = require("./locales");
+const { finalizeThinkTime } = require("./think-time");
+const { finalizeVitals, combineVitals } = require("./vitals");
+const {
+  finalizeNavigationTiming,
+  combineNavigationTiming,
+} = require("./navigation-timing");
+const { finalizeResources, combineResources } = require("./resources");
+const { finalizeTransfer, combineTransfer } = require("./transfer");
+const { createUserFactory, runTask, runStages } = require("./users");
+const { createSessionTracker } = require("./concurrency");
+const { getNextProbe } = require("./search");
+const { summarizeSamples } = require("./stats");
+const {
+  createHistogram,
+  mergeHistogram,
+  getPercentile,
+  getPercentiles,
+  getStatLabel,
+} = require("./histogram");
+const { shuffle, runQueue } = require("./queue");
+const { createBrowserPool, getPoolSize } = require("./browser-pool");
+const { renderRunReport } = require("./reports/run-report");
+const { renderCapacityReport } = require("./reports/capacity-report");
+const {
+  formatDuration,
+  formatSummary,
+  formatBytes,
+  formatBandwidth,
+  getSystemInfo,
+} = require("./reports/helpers");
+
+// Response time the threshold applies to: the average, or the configured
+// percentile of the run's response times
+function getThresholdResponseTime(results, config) {
+  return config.responsePercentile === null
+    ? results.avgResponseTime
+    : getPercentile(results.responseTimeHistogram, config.responsePercentile);
+}
+
+// Check whether a success rate and threshold response time meet the
+// capacity thresholds
+function passesThresholds(successRate, responseTime, config) {
+  return (
+    successRate >= config.successThreshold &&
+    responseTime <= config.responseThreshold
+  );
+}
+
+// Summarize the runs of one load level. With several runs the thresholds
+// must hold at the pessimistic end of the confidence intervals (lowest
+// success rate, highest response time), so a level cannot pass by luck.
+function summarizeLevel(levelSteps, probe, config) {
+  const summarize = (getValue, max = Infinity) =>
+    summarizeSamples(levelSteps.map(getValue), config.confidence, {
+      min: 0,
+      max,
+    });
+  const level = {
+    userCount: probe.users,
+    phase: probe.phase,
+    runs: levelSteps.length,
+    successRate: summarize((step) => step.successRate, 100),
+    avgResponseTime: summarize((step) => step.avgResponseTime),
+    responseTime: summarize((step) => getThresholdResponseTime(step, config)),
+    percentiles: getPercentiles(
+      levelSteps.reduce(
+        (histogram, step) =>
+          mergeHistogram(histogram, step.responseTimeHistogram),
+        createHistogram()
+      )
+    ),
+    requestsPerSecond: summarize((step) => step.requestsPerSecond),
+    vitals: combineVitals(levelSteps),
+    navigationTiming: combineNavigationTiming(levelSteps),
+    resources: combineResources(levelSteps),
+    transfer: combineTransfer(levelSteps),
+    concurrency: {
+      limit: levelSteps[0].concurrency.limit,
+      average: summarize((step) => step.concurrency.average),
+      peak: summarize((step) => step.concurrency.peak),
+    },
+  };
+
+  const { successRate, responseTime } = level;
+  level.passed = passesThresholds(
+    successRate.low !== null ? successRate.low : successRate.mean,
+    responseTime.high !== null ? responseTime.high : responseTime.mean,
+    config
+  );
+  return level;
+}
+
+// Concurrency limit based on system capabilities, before capping at the
+// step's user count
+function getSystemConcurrency(config) {
+  return config.concurrency || Math.max(2, Math.min(os.cpus().length * 2, 20));
+}
+
+// Run a test step with a specific number of users. How many of them are
+// actually in flight at once is measured into stepResults.concurrency.
+async function runTestStep(run, userCount) {
+  const { config, logger, allUrls, pickUrl } = run;
+  const { journeys } = config;
+  logger.log(`\n=== Starting test with ${userCount} users ===`);
+
+  const stepResults = createResults(userCount);
+
+  // Users take turns running each journey, or test a random URL weighted
+  // by the traffic mix
+  const nextTask = (user, iteration = 0) =>
+    journeys.length > 0
+      ? { user, journey: journeys[(user.id - 1 + iteration) % journeys.length] }
+      : { user, url: pickUrl() };
+
+  // Create a queue of test tasks, unless users loop for the step duration
+  const createUser = createUserFactory(config);
+  const testQueue = [];
+  for (let userId = 1; !config.stepDuration && userId <= userCount; userId++) {
+    const user = createUser(userId);
+    recordUser(stepResults, user);
+    testQueue.push(nextTask(user));
+  }
+  shuffle(testQueue);
+
+  const concurrencyLimit = config.stepDuration
+    ? userCount
+    : Math.min(getSystemConcurrency(config), userCount);
+  stepResults.concurrencyLimit = concurrencyLimit;
+
+  logger.log(
+    `Testing ${
+      journeys.length > 0
+        ? `${journeys.length} journeys`
+        : `${allUrls.length} URLs`
+    } with ${userCount} users (Concurrency: ${concurrencyLimit})`
+  );
+
+  // Track start of actual testing
+  const testStartTime = Date.now();
+  run.sessions = createSessionTracker();
+
+  if (config.stepDuration) {
+    const hold = {
+      name: `Hold ${userCount}`,
+      start: 0,
+      end: config.stepDuration,
+      from: userCount,
+      target: userCount,
+    };
+    await runStages(run, [hold], stepResults, { createUser, nextTask });
+  } else {
+    await runQueue(
+      testQueue,
+      concurrencyLimit,
+      (test) => runTask(run, test, stepResults),
+      logger
+    );
+  }
+
+  // Calculate final metrics for this step
+  stepResults.browserPool = run.pool.takeStats();
+  stepResults.concurrency = {
+    requested: userCount,
+    limit: concurrencyLimit,
+    ...run.sessions.finish(),
+  };
+  finalizeResults(stepResults, testStartTime);
+  finalizeJourneyMetrics(stepResults);
+  finalizeLocaleMetrics(stepResults.localeMetrics);
+  finalizeThinkTime(stepResults);
+  finalizeVitals(stepResults);
+  finalizeNavigationTiming(stepResults);
+  finalizeResources(stepResults);
+  finalizeTransfer(stepResults);
+  stepResults.passed = passesThresholds(
+    stepResults.successRate,
+    getThresholdResponseTime(stepResults, config),
+    config
+  );
+  if (config.weights.length > 0) {
+    stepResults.trafficMix = getTrafficMix(run.trafficShares, [stepResults]);
+  }
+
+  logger.log(`\nCompleted test with ${userCount} users:`);
+  logger.log(`- Success rate: ${stepResults.successRate}%`);
+  logger.log(`- Avg response time: ${stepResults.avgResponseTime}ms`);
+  const { percentiles } = stepResults;
+  logger.log(
+    `- Percentiles: p50 ${percentiles.p50}ms, p95 ${percentiles.p95}ms, p99 ${percentiles.p99}ms, max ${percentiles.max}ms`
+  );
+  logger.log(`- Requests/second: ${stepResults.requestsPerSecond}`);
+  logger.log(
+    `- Transferred: ${formatBytes(
+      stepResults.transfer.avgTransferred
+    )} per visit, ${formatBandwidth(stepResults.transfer.bytesPerSecond)}`
+  );
+  logger.log(
+    `- Concurrency: ${stepResults.concurrency.average} avg, ${stepResults.concurrency.peak} peak (limit ${concurrencyLimit})`
+  );
+  logger.log(`- Browser instances: ${stepResults.browserPool.instances}`);
+
+  return stepResults;
+}
+
+// Run capacity test with increasing load until the thresholds fail
+async function runCapacity(options = {}) {
+  const config = resolveOptions("capacity", applyPlan("capacity", options));
+  const { logger } = config;
+
+  if (config.planName) {
+    logger.log(`Using plan "${config.planName}"`);
+  }
+  logger.log("Starting website capacity test...");
+  logger.log(`System info: ${getSystemInfo()}`);
+
+  const { domains, discovered, crawlPath } = await discoverUrls(config, logger);
+  const run = {
+    config,
+    logger,
+    allUrls: getAllUrls(domains),
+    logDir: path.join(config.outputDir, "logs"),
+  };
+  run.trafficShares = getTrafficShares(run.allUrls, config.weights);
+  run.pickUrl = createUrlPicker(run.trafficShares);
+
+  // Initialize test directories
+  if (config.report && !fs.existsSync(config.outputDir)) {
+    fs.mkdirSync(config.outputDir, { recursive: true });
+  }
+
+  const overallStartTime = Date.now();
+  const steps = [];
+  const levels = [];
+  let maxRequestedUsers = 0;
+  let lastSuccessfulLevel = null;
+  let lastSuccessfulStep = null;
+
+  // Browsers are shared by all steps
+  run.pool = createBrowserPool(
+    getPoolSize(config.poolSize, getSystemConcurrency(config)),
+    logger
+  );
+
+  try {
+    // Probe user counts picked by the search strategy until it settles,
+    // running each load level config.repeats times
+    for (
+      let probe = getNextProbe(config, levels);
+      probe !== null;
+      probe = getNextProbe(config, levels)
+    ) {
+      const userCount = probe.users;
+      const levelSteps = [];
+      for (let repeat = 1; repeat <= config.repeats; repeat++) {
+        if (config.repeats > 1) {
+          logger.log(`\n--- Run ${repeat} of ${config.repeats} ---`);
+        }
+        const stepResults = await runTestStep(run, userCount);
+        stepResults.phase = probe.phase;
+        stepResults.repeat = repeat;
+        levelSteps.push(stepResults);
+        steps.push(stepResults);
+
+        // Save individual step report
+        if (config.report) {
+          const runLabel =
+            config.repeats > 1 ? ` (Run ${repeat} of ${config.repeats})` : "";
+          stepResults.reportPath = path.join(
+            config.outputDir,
+            `step_report_${userCount}_users${
+              config.repeats > 1 ? `_run${repeat}` : ""
+            }.html`
+          );
+          fs.writeFileSync(
+            stepResults.reportPath,
+            renderRunReport(stepResults, {
+              title: `Step Report - ${userCount} Users${runLabel}`,
+              heading: `Load Test Results: ${userCount} Users${runLabel}`,
+              usersLabel: "Requested Users",
+              thresholds: {
+                successRate: config.successThreshold,
+                responseTime: config.responseThreshold,
+                responsePercentile: config.responsePercentile,
+              },
+            })
+          );
+          logger.log(
+            `Step report for ${userCount} users saved to ${stepResults.reportPath}`
+          );
+        }
+      }
+
+      // Check if this load level passed the thresholds
+      const level = summarizeLevel(levelSteps, probe, config);
+      levels.push(level);
+      const confidenceLabel =
+        level.runs > 1
+          ? ` (${config.confidence}% confidence over ${level.runs} runs)`
+          : "";
+      if (level.passed) {
+        maxRequestedUsers = userCount;
+        lastSuccessfulLevel = level;
+        lastSuccessfulStep = levelSteps[levelSteps.length - 1];
+        logger.log(
+          `✅ Test with ${userCount} users passed thresholds${confidenceLabel}.`
+        );
+      } else {
+        logger.log(
+          `❌ Test with ${userCount} users failed thresholds${confidenceLabel}: success rate = ${formatSummary(
+            level.successRate,
+            "%"
+          )}, ${getStatLabel(
+            config.responsePercentile
+          )} response time = ${formatSummary(level.responseTime, "ms")}`
+        );
+      }
+    }
+  } finally {
+    await run.pool.close();
+  }
+
+  const overallEndTime = Date.now();
+  const totalTestDuration = (overallEndTime - overallStartTime) / 1000;
+  // The verdict is the average concurrency measured at the last passing
+  // level, not the users it asked for. Its peak only shows the queue's
+  // concurrency limit was reached at some point, so it is reported alongside.
+  const finalCapacity = lastSuccessfulLevel
+    ? Math.round(lastSuccessfulLevel.concurrency.average.mean)
+    : 0;
+  const peakCapacity = lastSuccessfulLevel
+    ? Math.round(lastSuccessfulLevel.concurrency.peak.mean)
+    : 0;
+
+  const capacityResults = {
+    startTime: overallStartTime,
+    endTime: overallEndTime,
+    durationSeconds: totalTestDuration,
+    maxCapacity: finalCapacity,
+    peakCapacity,
+    maxRequestedUsers,
+    lastSuccessfulLevel,
+    lastSuccessfulStep,
+    levels,
+    steps,
+    urls: run.allUrls,
+    discoveredUrls: discovered,
+    crawlPath,
+    outputDir: config.outputDir,
+  };
+  if (config.weights.length > 0) {
+    capacityResults.trafficMix = getTrafficMix(run.trafficShares, steps);
+  }
+  if (config.locales.length > 0) {
+    capacityResults.localeMetrics = combineLocaleMetrics(steps);
+  }
+
+  // Generate final capacity report
+  if (config.report) {
+    capacityResults.reportPath = path.join(
+      config.outputDir,
+      "capacity_report.html"
+    );
+    fs.writeFileSync(
+      capacityResults.reportPath,
+      renderCapacityReport(capacityResults, config)
+    );
+    logger.log(`Final capacity report saved to ${capacityResults.reportPath}`);
+  }
+
+  if (lastSuccessfulLevel) {
+    logger.log(
+      `\n✅ Maximum supported concurrency: ${finalCapacity} sessions in flight on average, ${peakCapacity} at peak (${maxRequestedUsers} users requested)`
+    );
+    logger.log(
+      `   Success rate at max capacity: ${formatSummary(
+        lastSuccessfulLevel.successRate,
+        "%"
+      )}`
+    );
+    logger.log(
+      `   ${getStatLabel(
+        config.responsePercentile
+      )} response time at max capacity: ${formatSummary(
+        lastSuccessfulLevel.responseTime,
+        "ms"
+      )}`
+    );
+  } else {
+    logger.log(
+      `\n❌ Website could not handle even ${config.minUsers} concurrent users at acceptable performance levels.`
+    );
+  }
+
+  logger.log(`\nTotal test duration: ${formatDuration(totalTestDuration)}`);
+  if (config.report) {
+    logger.log(`Reports saved to ${config.outputDir} directory.`);
+  }
+
+  return capacityResults;
+}
+
+module.exports = {
+  runCapacity,
+  runTestStep,
+  summarizeLevel,
+  getThresholdResponseTime,
+  passesThresholds,
+};
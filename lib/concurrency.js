@@ -0,0 +1,57 @@
+// lib/concurrency.js
+
+// How often the sessions in flight are sampled
+const SAMPLE_MS = 500;
+
+// Track the browser sessions actually in flight, which can be far fewer
+// than the users a run asks for once the concurrency limit kicks in.
+// finish() stops sampling and returns the time-weighted average, the peak
+// and the samples taken (seconds from the start, sessions in flight).
+function createSessionTracker() {
+  const startTime = Date.now();
+  const samples = [];
+  let inFlight = 0;
+  let peak = 0;
+  let lastChange = startTime;
+  let sessionTime = 0; // Sum of sessions in flight over time, in session-ms
+
+  function advance() {
+    const now = Date.now();
+    sessionTime += inFlight * (now - lastChange);
+    lastChange = now;
+  }
+
+  const timer = setInterval(() => {
+    samples.push({
+      time: Math.round((Date.now() - startTime) / 100) / 10,
+      sessions: inFlight,
+    });
+  }, SAMPLE_MS);
+  timer.unref();
+
+  function enter() {
+    advance();
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+  }
+
+  function leave() {
+    advance();
+    inFlight--;
+  }
+
+  function finish() {
+    clearInterval(timer);
+    advance();
+    const elapsed = lastChange - startTime;
+    return {
+      average: elapsed > 0 ? Math.round((sessionTime / elapsed) * 10) / 10 : 0,
+      peak,
+      samples,
+    };
+  }
+
+  return { enter, leave, finish };
+}
+
+module.exports = { createSessionTracker };
@@ -0,0 +1,101 @@
+// lib/crawler.js
+
+// Links to files the browser would download instead of render
+const DOWNLOAD_EXTENSIONS =
+  /\.(pdf|zip|rar|7z|gz|tar|docx?|xlsx?|pptx?|csv|exe|dmg|apk|mp3|mp4|mov|avi|jpe?g|png|gif|svg|webp|ico)$/i;
+
+// Normalize a link for the crawl queue, or return null to skip it
+function normalizeLink(href, origin) {
+  let urlObj;
+  try {
+    urlObj = new URL(href);
+  } catch (error) {
+    return null;
+  }
+
+  if (urlObj.origin !== origin) return null;
+  if (DOWNLOAD_EXTENSIONS.test(urlObj.pathname)) return null;
+
+  urlObj.hash = "";
+  return urlObj.href;
+}
+
+// Breadth-first crawl of same-origin links starting at the origin root.
+// Returns one entry per visited page with its status, depth and referrer.
+async function crawlOrigin(origin, options) {
+  const {
+    browserType,
+    maxDepth,
+    maxPages,
+    timeout,
+    shouldFollow = () => true,
+    logger = console,
+  } = options;
+
+  const browser = await browserType.launcher.launch({
+    ignoreHTTPSErrors: true,
+    headless: true,
+  });
+
+  const start = normalizeLink(origin, origin);
+  const queue = [{ url: start, depth: 0, referrer: null }];
+  const seen = new Set([start]);
+  const entries = [];
+
+  try {
+    const context = await browser.newContext({
+      ignoreHTTPSErrors: true,
+      userAgent: "StressTestBot/1.0 Crawler",
+    });
+    const page = await context.newPage();
+
+    while (queue.length > 0 && entries.length < maxPages) {
+      const { url, depth, referrer } = queue.shift();
+      const entry = { url, status: null, depth, referrer };
+      entries.push(entry);
+
+      let links = [];
+      try {
+        const response = await page.goto(url, {
+          timeout,
+          waitUntil: "domcontentloaded",
+        });
+        entry.status = response ? response.status() : null;
+
+        // Redirects to another origin end the branch
+        if (new URL(page.url()).origin !== origin) {
+          entry.redirectedTo = page.url();
+          continue;
+        }
+
+        if (depth < maxDepth && entry.status !== null && entry.status < 400) {
+          links = await page.$$eval("a[href]", (anchors) =>
+            anchors.map((anchor) => anchor.href)
+          );
+        }
+      } catch (error) {
+        entry.error = error.message.split("\n")[0];
+      }
+
+      for (const href of links) {
+        const link = normalizeLink(href, origin);
+        if (!link || seen.has(link)) continue;
+        seen.add(link);
+
+        if (!shouldFollow(link)) continue;
+
+        queue.push({ url: link, depth: depth + 1, referrer: url });
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  logger.log(
+    `Crawled ${origin}: ${entries.length} pages (depth <= ${maxDepth}, ${queue.length} links left unvisited)`
+  );
+
+  return entries;
+}
+
+module.exports = { crawlOrigin, normalizeLink };
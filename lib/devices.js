@@ -0,0 +1,42 @@
+// lib/devices.js
+const { devices } = require("playwright");
+
+// Profile used when no devices are configured: the original desktop context
+const DESKTOP = "Desktop";
+
+// Whether a name is a Playwright device descriptor or the desktop profile
+function isKnownDevice(name) {
+  return (
+    name === DESKTOP || Object.prototype.hasOwnProperty.call(devices, name)
+  );
+}
+
+// Browser context options emulating the virtual user's device
+function getContextOptions(user) {
+  const botAgent = `StressTestBot/1.0 User-${user.id}`;
+
+  if (user.device === DESKTOP) {
+    return {
+      ignoreHTTPSErrors: true,
+      userAgent: botAgent,
+      viewport: { width: 1280, height: 720 },
+      deviceScaleFactor: 1,
+    };
+  }
+
+  // The engine comes from the user's browser, not the descriptor
+  const { defaultBrowserType, ...descriptor } = devices[user.device];
+
+  // Firefox does not support mobile emulation; keep the rest of the profile
+  if (user.browserType.name === "Firefox") {
+    delete descriptor.isMobile;
+  }
+
+  return {
+    ...descriptor,
+    ignoreHTTPSErrors: true,
+    userAgent: `${descriptor.userAgent} ${botAgent}`,
+  };
+}
+
+module.exports = { DESKTOP, isKnownDevice, getContextOptions };
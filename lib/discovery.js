@@ -0,0 +1,109 @@
+// lib/discovery.js
+const fs = require("fs");
+const path = require("path");
+const { resolveBrowsers } = require("./options");
+const { createUrlFilter } = require("./patterns");
+const { discoverFromSitemap } = require("./sitemap");
+const { crawlOrigin } = require("./crawler");
+
+// Add a discovered URL's path to the domains map, skipping duplicates
+function addDiscoveredPath(domains, origin, url) {
+  const urlObj = new URL(url);
+  const subpath = urlObj.pathname + urlObj.search;
+  if (subpath !== "/" && !domains[origin].includes(subpath)) {
+    domains[origin].push(subpath);
+  }
+}
+
+// Write the crawl log next to the reports so the URL set can be reviewed
+// and reused for later runs
+function saveCrawlResults(outputDir, crawlResults) {
+  if (!fs.existsSync(outputDir)) {
+    fs.mkdirSync(outputDir, { recursive: true });
+  }
+  const crawlPath = path.join(outputDir, "crawl_results.json");
+  fs.writeFileSync(
+    crawlPath,
+    JSON.stringify(
+      { crawledAt: new Date().toISOString(), pages: crawlResults },
+      null,
+      2
+    )
+  );
+  return crawlPath;
+}
+
+// Run the enabled URL discovery methods for every origin and merge the
+// results into a copy of the configured domains map. Returns the merged
+// map and the list of discovered URLs with their source.
+async function discoverUrls(config, logger = console) {
+  const domains = {};
+  const discovered = [];
+  const crawlResults = [];
+
+  for (const origin in config.domains) {
+    domains[origin] = [...config.domains[origin]];
+  }
+
+  if (!config.sitemap && !config.crawl) {
+    return { domains, discovered };
+  }
+
+  const filter = createUrlFilter(config.include, config.exclude);
+  const shouldFollow = createUrlFilter([], config.exclude);
+
+  for (const origin in domains) {
+    if (config.sitemap) {
+      const { urls, sitemaps } = await discoverFromSitemap(origin, {
+        timeout: config.timeout,
+        limit: config.sitemapLimit,
+        filter,
+        logger,
+      });
+      logger.log(
+        `Sitemap discovery for ${origin}: ${urls.length} URLs from ${sitemaps.length} sitemap file(s)`
+      );
+
+      for (const url of urls) {
+        discovered.push({ url, source: "sitemap" });
+        addDiscoveredPath(domains, origin, url);
+      }
+    }
+
+    if (config.crawl) {
+      const entries = await crawlOrigin(origin, {
+        browserType: resolveBrowsers(config.browsers)[0],
+        maxDepth: config.crawlDepth,
+        maxPages: config.crawlPages,
+        timeout: config.timeout,
+        shouldFollow,
+        logger,
+      });
+      crawlResults.push(...entries);
+
+      // Only pages that loaded and pass the filters join the load run
+      for (const entry of entries) {
+        if (entry.status === null || entry.status >= 400) continue;
+        if (entry.redirectedTo || !filter(entry.url)) continue;
+        if (discovered.some((item) => item.url === entry.url)) continue;
+
+        discovered.push({
+          url: entry.url,
+          source: "crawl",
+          depth: entry.depth,
+          referrer: entry.referrer,
+        });
+        addDiscoveredPath(domains, origin, entry.url);
+      }
+    }
+  }
+
+  const result = { domains, discovered };
+  if (config.crawl) {
+    result.crawlPath = saveCrawlResults(config.outputDir, crawlResults);
+    logger.log(`Crawl results saved to ${result.crawlPath}`);
+  }
+  return result;
+}
+
+module.exports = { discoverUrls };
@@ -0,0 +1,92 @@
+// lib/har.js
+
+// Whether a HAR entry is an HTML document (a page navigation)
+function isDocument(entry) {
+  if (entry._resourceType) return entry._resourceType === "document";
+  const content = entry.response && entry.response.content;
+  return Boolean(content && /^text\/html/i.test(content.mimeType || ""));
+}
+
+function isRedirect(entry) {
+  return Boolean(
+    entry.response &&
+      entry.response.status >= 300 &&
+      entry.response.status < 400
+  );
+}
+
+function isReplayable(entry) {
+  return (
+    entry.request &&
+    entry.request.method === "GET" &&
+    /^https?:\/\//.test(entry.request.url)
+  );
+}
+
+// Extract the page navigations of a parsed HAR in order, with the time each
+// started and how long it took to load
+function getNavigations(har) {
+  const log = har && har.log;
+  if (!log || !Array.isArray(log.entries)) {
+    throw new Error("not a HAR file (missing log.entries)");
+  }
+
+  const entries = log.entries.filter(isReplayable);
+  const navigations = [];
+
+  if (Array.isArray(log.pages) && log.pages.length > 0) {
+    // Browser exports group requests by page; the first document of each
+    // page is the navigation (redirects are followed on replay)
+    for (const page of log.pages) {
+      const pageEntries = entries.filter((entry) => entry.pageref === page.id);
+      const document = pageEntries.find(isDocument);
+      if (!document) continue;
+
+      const timings = page.pageTimings || {};
+      navigations.push({
+        url: document.request.url,
+        startedAt: Date.parse(page.startedDateTime || document.startedDateTime),
+        loadTime: timings.onLoad > 0 ? timings.onLoad : document.time || 0,
+      });
+    }
+  } else {
+    for (const entry of entries) {
+      if (!isDocument(entry) || isRedirect(entry)) continue;
+      navigations.push({
+        url: entry.request.url,
+        startedAt: Date.parse(entry.startedDateTime),
+        loadTime: entry.time > 0 ? entry.time : 0,
+      });
+    }
+  }
+
+  return navigations;
+}
+
+// Turn a parsed HAR into a journey that replays its navigations, pausing
+// between them for the original think time multiplied by thinkTimeScale.
+// Replays think in those pauses only.
+function harToJourney(har, { name, thinkTimeScale = 1 } = {}) {
+  const navigations = getNavigations(har);
+  if (navigations.length === 0) {
+    throw new Error("HAR file contains no page navigations");
+  }
+
+  const steps = [];
+  navigations.forEach((navigation, index) => {
+    if (index > 0) {
+      const previous = navigations[index - 1];
+      const thinkTime =
+        navigation.startedAt - previous.startedAt - previous.loadTime;
+      const ms = Math.round(Math.max(0, thinkTime || 0) * thinkTimeScale);
+      if (ms > 0) {
+        steps.push({ action: "pause", ms, name: `think ${ms}ms` });
+      }
+    }
+    steps.push({ action: "navigate", url: navigation.url });
+  });
+
+  return { name, replay: true, steps };
+}
+
+module.exports = { getNavigations, harToJourney };
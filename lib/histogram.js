@@ -0,0 +1,103 @@
+// lib/histogram.js
+
+// Bucket width ratio: each bucket covers 1% more than the one below, so a
+// percentile read back from the histogram is within 0.5% of the true value
+// whatever the scale. Only buckets with values are stored.
+const BUCKET_RATIO = 1.01;
+const LOG_RATIO = Math.log(BUCKET_RATIO);
+
+// Percentiles shown in reports
+const REPORT_PERCENTILES = [50, 75, 90, 95, 99];
+
+// Empty response time histogram. Plain data (counts keyed by bucket index)
+// so it can be saved with the raw results and merged across runs.
+function createHistogram() {
+  return { count: 0, min: null, max: null, buckets: {} };
+}
+
+// Bucket 0 holds values below 1ms; bucket i covers
+// [BUCKET_RATIO^(i-1), BUCKET_RATIO^i)
+function getBucketIndex(value) {
+  return value < 1 ? 0 : 1 + Math.floor(Math.log(value) / LOG_RATIO);
+}
+
+// Value that stands for a bucket: the geometric middle of its range
+function getBucketValue(index) {
+  return index === 0 ? 0 : Math.pow(BUCKET_RATIO, index - 0.5);
+}
+
+function recordValue(histogram, value) {
+  const index = getBucketIndex(value);
+  histogram.buckets[index] = (histogram.buckets[index] || 0) + 1;
+  histogram.count++;
+  histogram.min =
+    histogram.min === null ? value : Math.min(histogram.min, value);
+  histogram.max =
+    histogram.max === null ? value : Math.max(histogram.max, value);
+}
+
+// Add the counts of source into target
+function mergeHistogram(target, source) {
+  for (const index in source.buckets) {
+    target.buckets[index] =
+      (target.buckets[index] || 0) + source.buckets[index];
+  }
+  target.count += source.count;
+  if (source.count > 0) {
+    target.min =
+      target.min === null ? source.min : Math.min(target.min, source.min);
+    target.max =
+      target.max === null ? source.max : Math.max(target.max, source.max);
+  }
+  return target;
+}
+
+// Value below which the given percent of the recorded values fall, in ms
+// (0 for an empty histogram)
+function getPercentile(histogram, percentile) {
+  if (histogram.count === 0) return 0;
+  if (percentile >= 100) return histogram.max;
+
+  const rank = Math.max(1, Math.ceil((percentile / 100) * histogram.count));
+  const indexes = Object.keys(histogram.buckets)
+    .map(Number)
+    .sort((a, b) => a - b);
+  let seen = 0;
+  for (const index of indexes) {
+    seen += histogram.buckets[index];
+    if (seen >= rank) {
+      const value = getBucketValue(index);
+      return Math.round(
+        Math.min(histogram.max, Math.max(histogram.min, value))
+      );
+    }
+  }
+  return histogram.max;
+}
+
+// Short name of the response time statistic a threshold applies to: "avg"
+// for null (the average), "max" for 100, otherwise e.g. "p95"
+function getStatLabel(percentile) {
+  if (percentile === null) return "avg";
+  return percentile >= 100 ? "max" : `p${percentile}`;
+}
+
+// The report percentiles and the maximum, as { p50, ..., p99, max }
+function getPercentiles(histogram) {
+  const percentiles = {};
+  for (const percentile of REPORT_PERCENTILES) {
+    percentiles[`p${percentile}`] = getPercentile(histogram, percentile);
+  }
+  percentiles.max = histogram.count > 0 ? histogram.max : 0;
+  return percentiles;
+}
+
+module.exports = {
+  REPORT_PERCENTILES,
+  createHistogram,
+  recordValue,
+  mergeHistogram,
+  getPercentile,
+  getPercentiles,
+  getStatLabel,
+};
@@ -0,0 +1,367 @@
+// lib/journeys.js
+const { recordSuccess, recordFailure } = require("./results");
+const {
+  openSession,
+  saveWaterfall,
+  saveDebugInfo,
+  linkWaterfall,
+  think,
+} = require("./visit");
+const { recordThinkTime } = require("./think-time");
+const { getLocalePage, recordLocaleVisit } = require("./locales");
+const { recordPageVitals } = require("./vitals");
+const { recordNavigationTiming } = require("./navigation-timing");
+const { recordResources } = require("./resources");
+const { recordTransfer } = require("./transfer");
+
+// Fields each step action requires
+const STEP_FIELDS = {
+  navigate: ["url"],
+  click: ["selector"],
+  fill: ["selector", "value"],
+  waitFor: ["selector"],
+  scroll: ["pixels"],
+  pause: ["ms"],
+};
+
+// Short label for a step in logs and reports
+function getStepLabel(step) {
+  if (step.name) return step.name;
+  const details = {
+    navigate: step.url,
+    click: step.selector,
+    fill: step.selector,
+    waitFor: step.selector,
+    scroll: `${step.pixels}px`,
+    pause: `${step.ms}ms`,
+  };
+  return `${step.action} ${details[step.action]}`;
+}
+
+// Create an empty metrics entry for a journey
+function createJourneyMetrics(journey) {
+  return {
+    name: journey.name,
+    runs: 0,
+    completed: 0,
+    totalDuration: 0,
+    totalThinkTime: 0,
+    successRate: 0,
+    avgDuration: 0,
+    avgThinkTime: 0,
+    steps: journey.steps.map((step) => ({
+      label: getStepLabel(step),
+      action: step.action,
+      runs: 0,
+      successes: 0,
+      totalTime: 0,
+      totalThinkTime: 0,
+      successRate: 0,
+      avgTime: 0,
+      avgThinkTime: 0,
+    })),
+    errors: [],
+  };
+}
+
+// Record one run of a journey. outcomes holds { ok, time, thinkTime } for
+// every step that was attempted; failure is { step, message } when a step
+// failed. Step times exclude the think time after the step; pauses count as
+// think time only.
+function recordJourney(results, journey, outcomes, failure, duration) {
+  if (!results.journeyMetrics[journey.name]) {
+    results.journeyMetrics[journey.name] = createJourneyMetrics(journey);
+  }
+  const metrics = results.journeyMetrics[journey.name];
+
+  metrics.runs++;
+  outcomes.forEach((outcome, index) => {
+    const stepMetrics = metrics.steps[index];
+    stepMetrics.runs++;
+    if (outcome.ok) {
+      stepMetrics.successes++;
+      stepMetrics.totalTime += outcome.time;
+      stepMetrics.totalThinkTime += outcome.thinkTime;
+    }
+  });
+
+  if (failure) {
+    // Keep at most 5 errors per journey
+    if (metrics.errors.length < 5) {
+      metrics.errors.push({
+        step: metrics.steps[failure.step].label,
+        errorMessage: failure.message,
+      });
+    }
+  } else {
+    metrics.completed++;
+    metrics.totalDuration += duration;
+    metrics.totalThinkTime += outcomes.reduce(
+      (sum, outcome) => sum + outcome.thinkTime,
+      0
+    );
+  }
+}
+
+// Calculate journey and step rates once all runs have finished
+function finalizeJourneyMetrics(results) {
+  for (const name in results.journeyMetrics) {
+    const metrics = results.journeyMetrics[name];
+    metrics.successRate =
+      metrics.runs > 0
+        ? Math.round((metrics.completed / metrics.runs) * 100)
+        : 0;
+    metrics.avgDuration =
+      metrics.completed > 0
+        ? Math.round(metrics.totalDuration / metrics.completed)
+        : 0;
+    metrics.avgThinkTime =
+      metrics.completed > 0
+        ? Math.round(metrics.totalThinkTime / metrics.completed)
+        : 0;
+
+    for (const step of metrics.steps) {
+      step.successRate =
+        step.runs > 0 ? Math.round((step.successes / step.runs) * 100) : 0;
+      step.avgTime =
+        step.successes > 0 ? Math.round(step.totalTime / step.successes) : 0;
+      step.avgThinkTime =
+        step.successes > 0
+          ? Math.round(step.totalThinkTime / step.successes)
+          : 0;
+    }
+  }
+}
+
+// Locale of a journey's session: that of its first navigation
+function getJourneyLocale(locales, journey) {
+  const step = journey.steps.find(
+    (candidate) => candidate.action === "navigate"
+  );
+  if (!step) return null;
+  return getLocalePage(locales, new URL(step.url, journey.baseUrl).href).locale;
+}
+
+// Perform one journey step. Navigations are also recorded as requests so
+// they show up in the per-path and per-user breakdown metrics.
+async function performStep(run, page, user, journey, step, results) {
+  const { config } = run;
+  const timeout = step.timeout || config.timeout;
+
+  switch (step.action) {
+    case "navigate": {
+      const url = new URL(step.url, journey.baseUrl).href;
+      const startTime = Date.now();
+      results.totalRequests++;
+
+      let response;
+      try {
+        response = await page.goto(url, {
+          timeout,
+          waitUntil: "domcontentloaded",
+        });
+      } catch (error) {
+        recordFailure(results, url, null, error.message, user);
+        recordLocaleVisit(results, config.locales, url, false);
+        throw error;
+      }
+
+      if (!response || response.status() >= 400) {
+        const statusCode = response ? response.status() : null;
+        recordFailure(results, url, statusCode, null, user);
+        recordLocaleVisit(results, config.locales, url, false);
+        throw new Error(`Status code: ${statusCode || "No response"}`);
+      }
+      const responseTime = Date.now() - startTime;
+      recordSuccess(results, url, responseTime, user);
+      recordLocaleVisit(results, config.locales, url, true, responseTime);
+      break;
+    }
+    case "click":
+      await page.click(step.selector, { timeout });
+      break;
+    case "fill":
+      await page.fill(step.selector, step.value, { timeout });
+      break;
+    case "waitFor":
+      await page.waitForSelector(step.selector, { timeout });
+      break;
+    case "scroll":
+      await page.evaluate((pixels) => window.scrollBy(0, pixels), step.pixels);
+      break;
+    case "pause":
+      await page.waitForTimeout(step.ms);
+      break;
+    default:
+      throw new Error(`Unknown journey action: ${step.action}`);
+  }
+}
+
+// Whether a user thinks after a journey's step: replays only think in their
+// recorded pauses, and open-model visitors leave after the last step
+function thinksAfterStep(config, journey, index) {
+  if (journey.replay) return false;
+  return !config.arrivalRate || index < journey.steps.length - 1;
+}
+
+// Status of the page's own document in its request log, null when it got
+// no response
+function getDocumentStatus(pageLog) {
+  const documentEntry = pageLog.find(
+    (entry) => entry.resourceType === "document"
+  );
+  return documentEntry && documentEntry.status !== undefined
+    ? documentEntry.status
+    : null;
+}
+
+// Record what visiting a page cost, like a single-URL visit does: its
+// navigation timing, transfer, vitals and sub-resources, and a sampled
+// request waterfall unless the journey failed on it. pageLog holds the
+// requests made since navigating to it.
+async function recordPageMetrics(run, page, pageUrl, pageLog, results, failed) {
+  const { config } = run;
+  await recordNavigationTiming(page, pageUrl, results);
+  await recordTransfer(page, pageUrl, pageLog, results);
+  await recordPageVitals(run, page, pageUrl, results);
+  if (!failed && Math.random() * 100 < config.waterfallSample) {
+    const waterfall = saveWaterfall(run, pageUrl, { requestLog: pageLog });
+    linkWaterfall(run, results, pageUrl, waterfall, getDocumentStatus(pageLog));
+  }
+  recordResources(pageUrl, pageLog, results);
+}
+
+// Run a journey's steps in order in one browser context, stopping at the
+// first failing step. Users think after steps that have a think time
+// configured; pauses are think time themselves. The metrics of each page
+// navigated to are recorded when the journey moves on to the next page or
+// ends; a failed navigation only records its sub-resources.
+async function runJourney(run, user, journey, results) {
+  const { config, logger } = run;
+  if (config.verbose) {
+    logger.log(`User ${user.id} starting journey: ${journey.name}`);
+  }
+
+  const { page, close, logs } = await openSession(
+    run,
+    user,
+    getJourneyLocale(config.locales, journey)
+  );
+  const outcomes = [];
+  let failure = null;
+  let pageUrl = null;
+  let navigateUrl = null;
+  let pageLogStart = 0;
+  const journeyStart = Date.now();
+
+  try {
+    for (let index = 0; index < journey.steps.length; index++) {
+      const step = journey.steps[index];
+      if (step.action === "navigate") {
+        if (pageUrl) {
+          await recordPageMetrics(
+            run,
+            page,
+            pageUrl,
+            logs.requestLog.slice(pageLogStart),
+            results,
+            false
+          );
+          pageUrl = null;
+        }
+        navigateUrl = new URL(step.url, journey.baseUrl).href;
+        pageLogStart = logs.requestLog.length;
+      }
+
+      const stepStart = Date.now();
+      try {
+        await performStep(run, page, user, journey, step, results);
+      } catch (error) {
+        outcomes.push({
+          ok: false,
+          time: Date.now() - stepStart,
+          thinkTime: 0,
+        });
+        failure = { step: index, message: error.message.split("\n")[0] };
+        break;
+      }
+
+      const time = Date.now() - stepStart;
+      if (step.action === "pause") {
+        recordThinkTime(results, "pause", time);
+        outcomes.push({ ok: true, time: 0, thinkTime: time });
+        continue;
+      }
+      if (step.action === "navigate") {
+        pageUrl = navigateUrl;
+      }
+      const thinkTime = thinksAfterStep(config, journey, index)
+        ? await think(run, results, step.action, step)
+        : 0;
+      outcomes.push({ ok: true, time, thinkTime });
+    }
+
+    const pageLog = logs.requestLog.slice(pageLogStart);
+    if (pageUrl) {
+      await recordPageMetrics(
+        run,
+        page,
+        pageUrl,
+        pageLog,
+        results,
+        failure !== null
+      );
+    } else if (navigateUrl) {
+      recordResources(navigateUrl, pageLog, results);
+    }
+
+    if (failure) {
+      if (config.verbose) {
+        logger.log(
+          `User ${user.id} journey "${journey.name}" failed at step ${
+            failure.step + 1
+          } (${failure.message})`
+        );
+      }
+
+      // Save page content and screenshots for debugging - only for some
+      // users. They are linked from the page the journey failed on, if it
+      // got as far as navigating to one.
+      if (user.id % 10 === 0) {
+        const failedUrl = pageUrl || navigateUrl;
+        const waterfall = await saveDebugInfo(
+          run,
+          failedUrl || page.url(),
+          page,
+          { ...logs, requestLog: pageLog }
+        );
+        if (failedUrl) {
+          linkWaterfall(
+            run,
+            results,
+            failedUrl,
+            waterfall,
+            getDocumentStatus(pageLog)
+          );
+        }
+      }
+    } else if (config.verbose) {
+      logger.log(
+        `User ${user.id} completed journey "${journey.name}" (${
+          Date.now() - journeyStart
+        }ms)`
+      );
+    }
+  } finally {
+    await close();
+  }
+
+  recordJourney(results, journey, outcomes, failure, Date.now() - journeyStart);
+}
+
+module.exports = {
+  STEP_FIELDS,
+  getStepLabel,
+  runJourney,
+  finalizeJourneyMetrics,
+};
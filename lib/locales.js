@@ -0,0 +1,160 @@
+// lib/locales.js
+
+// Locale of URLs no configured locale matches, when none is the default
+const DEFAULT_LOCALE = "Default";
+
+function createLocaleMetrics() {
+  return {
+    requests: 0,
+    successes: 0,
+    totalResponseTime: 0,
+    successRate: 0,
+    avgResponseTime: 0,
+  };
+}
+
+// Parse a locale URL pattern: a path prefix ("/cn/*") or a query
+// parameter ("?lang=cn"). Returns null if the pattern is neither.
+function parseLocalePattern(pattern) {
+  if (typeof pattern !== "string") return null;
+
+  if (pattern.startsWith("?")) {
+    const [param, value] = pattern.slice(1).split("=");
+    if (!param || !value) return null;
+    return { param, value };
+  }
+
+  const prefix = pattern.replace(/\*$/, "").replace(/\/$/, "");
+  if (!prefix.startsWith("/") || prefix.includes("*")) return null;
+  return { prefix };
+}
+
+// Logical page of a path under a locale pattern, or null if the URL is not
+// in that locale: "/cn/about-us" under "/cn/*" is "/about-us"
+function matchLocalePattern(pattern, urlObj) {
+  if (pattern.param) {
+    return urlObj.searchParams.get(pattern.param) === pattern.value
+      ? urlObj.pathname
+      : null;
+  }
+
+  const path = urlObj.pathname;
+  if (path === pattern.prefix || path.startsWith(`${pattern.prefix}/`)) {
+    return path.slice(pattern.prefix.length) || "/";
+  }
+  return null;
+}
+
+// Find the locale a URL belongs to and the logical page it shows, so the
+// same page can be compared across its language versions. URLs no pattern
+// matches belong to the locale without patterns, if there is one.
+function getLocalePage(locales, url) {
+  const urlObj = new URL(url);
+
+  for (const locale of locales) {
+    for (const pattern of locale.patterns) {
+      const page = matchLocalePattern(pattern, urlObj);
+      if (page !== null) {
+        return { locale, domain: urlObj.origin, page };
+      }
+    }
+  }
+
+  const fallback = locales.find((locale) => locale.patterns.length === 0);
+  return {
+    locale: fallback || null,
+    domain: urlObj.origin,
+    page: urlObj.pathname || "/",
+  };
+}
+
+// Browser context options for a session in the given locale
+function getLocaleContextOptions(locale) {
+  if (!locale) return {};
+
+  const options = {};
+  if (locale.locale) options.locale = locale.locale;
+  if (locale.timezone) options.timezoneId = locale.timezone;
+
+  const acceptLanguage = locale.acceptLanguage || locale.locale;
+  if (acceptLanguage) {
+    options.extraHTTPHeaders = { "Accept-Language": acceptLanguage };
+  }
+  return options;
+}
+
+// Record a visit under its logical page and locale. Does nothing unless
+// locales are configured.
+function recordLocaleVisit(results, locales, url, success, responseTime) {
+  if (locales.length === 0) return;
+
+  const { locale, domain, page } = getLocalePage(locales, url);
+  const name = locale ? locale.name : DEFAULT_LOCALE;
+  const pageKey = domain + page;
+
+  if (!results.localeMetrics[pageKey]) {
+    results.localeMetrics[pageKey] = { domain, page, locales: {} };
+  }
+  const pageLocales = results.localeMetrics[pageKey].locales;
+  if (!pageLocales[name]) {
+    pageLocales[name] = createLocaleMetrics();
+  }
+
+  const metrics = pageLocales[name];
+  metrics.requests++;
+  if (success) {
+    metrics.successes++;
+    metrics.totalResponseTime += responseTime;
+  }
+}
+
+// Calculate the rates of locale metrics once all visits have finished
+function finalizeLocaleMetrics(localeMetrics) {
+  for (const pageKey in localeMetrics) {
+    for (const metrics of Object.values(localeMetrics[pageKey].locales)) {
+      metrics.successRate =
+        metrics.requests > 0
+          ? Math.round((metrics.successes / metrics.requests) * 100)
+          : 0;
+      metrics.avgResponseTime =
+        metrics.successes > 0
+          ? Math.round(metrics.totalResponseTime / metrics.successes)
+          : 0;
+    }
+  }
+  return localeMetrics;
+}
+
+// Add up the locale metrics of several runs (e.g. all capacity steps)
+function combineLocaleMetrics(resultsList) {
+  const combined = {};
+
+  for (const results of resultsList) {
+    for (const pageKey in results.localeMetrics) {
+      const { domain, page, locales } = results.localeMetrics[pageKey];
+      if (!combined[pageKey]) {
+        combined[pageKey] = { domain, page, locales: {} };
+      }
+
+      for (const name in locales) {
+        const target = combined[pageKey].locales[name] || createLocaleMetrics();
+        target.requests += locales[name].requests;
+        target.successes += locales[name].successes;
+        target.totalResponseTime += locales[name].totalResponseTime;
+        combined[pageKey].locales[name] = target;
+      }
+    }
+  }
+
+  return finalizeLocaleMetrics(combined);
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  parseLocalePattern,
+  getLocalePage,
+  getLocaleContextOptions,
+  recordLocaleVisit,
+  finalizeLocaleMetrics,
+  combineLocaleMetrics,
+};
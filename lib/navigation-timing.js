@@ -0,0 +1,115 @@
+// lib/navigation-timing.js
+
+// Phases of a page load from the browser's Navigation Timing entry, in
+// the order they happen, so their averages stack up to the load time.
+// TTFB here is the wait between sending the request and the first byte;
+// DOM is the parsing and scripts between the last byte and DOMContentLoaded.
+const NAVIGATION_PHASES = {
+  dns: { label: "DNS" },
+  connect: { label: "Connect" },
+  tls: { label: "TLS" },
+  ttfb: { label: "TTFB" },
+  download: { label: "Download" },
+  dom: { label: "DOM" },
+};
+
+// Durations of each phase of a navigation entry, or null for a document
+// that has not reached DOMContentLoaded. Reused connections take no DNS,
+// connect or TLS time; plain HTTP takes no TLS time.
+function getNavigationPhases(entry) {
+  if (!entry || !(entry.domContentLoadedEventEnd > 0)) return null;
+  const tlsStart =
+    entry.secureConnectionStart > 0
+      ? entry.secureConnectionStart
+      : entry.connectEnd;
+  return {
+    dns: entry.domainLookupEnd - entry.domainLookupStart,
+    connect: tlsStart - entry.connectStart,
+    tls: entry.connectEnd - tlsStart,
+    ttfb: entry.responseStart - entry.requestStart,
+    download: entry.responseEnd - entry.responseStart,
+    dom: entry.domContentLoadedEventEnd - entry.responseEnd,
+  };
+}
+
+function createNavigationMetrics() {
+  const metrics = { count: 0, total: {}, avg: {} };
+  for (const phase in NAVIGATION_PHASES) {
+    metrics.total[phase] = 0;
+    metrics.avg[phase] = null;
+  }
+  return metrics;
+}
+
+function addPhases(metrics, phases) {
+  metrics.count++;
+  for (const phase in NAVIGATION_PHASES) {
+    metrics.total[phase] += Math.max(0, phases[phase]);
+  }
+}
+
+// Read the Navigation Timing of the page a visit loaded and record its
+// phases overall and under the page's path. Pages that cannot be read are
+// skipped.
+async function recordNavigationTiming(page, url, results) {
+  const entry = await page
+    .evaluate(() => {
+      const [navigation] = performance.getEntriesByType("navigation");
+      return navigation ? navigation.toJSON() : null;
+    })
+    .catch(() => null);
+  const phases = getNavigationPhases(entry);
+  if (!phases) return;
+
+  const urlObj = new URL(url);
+  const pathKey = urlObj.origin + urlObj.pathname;
+  if (!results.navigationTimingByPath[pathKey]) {
+    results.navigationTimingByPath[pathKey] = {
+      domain: urlObj.origin,
+      path: urlObj.pathname || "/",
+      timing: createNavigationMetrics(),
+    };
+  }
+  addPhases(results.navigationTiming, phases);
+  addPhases(results.navigationTimingByPath[pathKey].timing, phases);
+}
+
+// Average each phase, to a tenth of a millisecond
+function finalizeNavigationMetrics(metrics) {
+  for (const phase in NAVIGATION_PHASES) {
+    metrics.avg[phase] =
+      metrics.count > 0
+        ? Math.round((metrics.total[phase] / metrics.count) * 10) / 10
+        : null;
+  }
+  return metrics;
+}
+
+// Calculate the navigation timing of a run once all visits have finished
+function finalizeNavigationTiming(results) {
+  finalizeNavigationMetrics(results.navigationTiming);
+  for (const pathKey in results.navigationTimingByPath) {
+    finalizeNavigationMetrics(results.navigationTimingByPath[pathKey].timing);
+  }
+}
+
+// Add up the overall navigation timing of several runs (e.g. the runs of a
+// load level)
+function combineNavigationTiming(resultsList) {
+  const combined = createNavigationMetrics();
+  for (const results of resultsList) {
+    combined.count += results.navigationTiming.count;
+    for (const phase in NAVIGATION_PHASES) {
+      combined.total[phase] += results.navigationTiming.total[phase];
+    }
+  }
+  return finalizeNavigationMetrics(combined);
+}
+
+module.exports = {
+  NAVIGATION_PHASES,
+  createNavigationMetrics,
+  recordNavigationTiming,
+  finalizeNavigationTiming,
+  combineNavigationTiming,
+};
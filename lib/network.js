@@ -0,0 +1,44 @@
+// lib/network.js
+
+// Profile used when no network profiles are configured, and for engines
+// that cannot be throttled
+const UNTHROTTLED = "Unthrottled";
+
+// Built-in profiles, modelled on the DevTools and Lighthouse presets.
+// latency in ms, download/upload in kbit/s (0 = unlimited).
+const NETWORK_PROFILES = {
+  "Slow 3G": { latency: 2000, download: 400, upload: 400 },
+  "Fast 3G": { latency: 563, download: 1440, upload: 675 },
+  "Slow 4G": { latency: 150, download: 1600, upload: 750 },
+  "Fast 4G": { latency: 60, download: 9000, upload: 1500 },
+};
+
+// Only Chromium exposes network emulation through CDP
+function canThrottle(browserType) {
+  return browserType.name === "Chromium";
+}
+
+// Bytes per second for CDP, which takes -1 for unlimited
+function toThroughput(kbps) {
+  return kbps > 0 ? (kbps * 1000) / 8 : -1;
+}
+
+// Throttle a page's network to the given profile via CDP
+async function applyNetworkProfile(context, page, profile) {
+  const cdp = await context.newCDPSession(page);
+  await cdp.send("Network.enable");
+
+  await cdp.send("Network.emulateNetworkConditions", {
+    offline: false,
+    latency: profile.latency,
+    downloadThroughput: toThroughput(profile.download),
+    uploadThroughput: toThroughput(profile.upload),
+  });
+}
+
+module.exports = {
+  UNTHROTTLED,
+  NETWORK_PROFILES,
+  canThrottle,
+  applyNetworkProfile,
+};
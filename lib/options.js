@@ -0,0 +1,816 @@
+// lib/options.js
+const fs = require("fs");
+const path = require("path");
+const { chromium, firefox, webkit } = require("playwright");
+const { parseWeightRule } = require("./traffic");
+const { STEP_FIELDS } = require("./journeys");
+const { harToJourney } = require("./har");
+const { DESKTOP, isKnownDevice } = require("./devices");
+const { UNTHROTTLED, NETWORK_PROFILES } = require("./network");
+const { parseLocalePattern } = require("./locales");
+const { parseDuration } = require("./stages");
+const { SEARCH_STRATEGIES } = require("./search");
+const { CONFIDENCE_LEVELS } = require("./stats");
+const {
+  DEFAULT_ACTION,
+  parseThinkTime,
+  checkThinkTime,
+} = require("./think-time");
+
+// Browser engines that can be selected by name
+const BROWSER_LAUNCHERS = {
+  chromium: { name: "Chromium", launcher: chromium },
+  firefox: { name: "Firefox", launcher: firefox },
+  webkit: { name: "WebKit", launcher: webkit },
+};
+
+// Defaults for the fixed-load run (stress-test.js)
+const STRESS_DEFAULTS = {
+  domains: {
+    "https://nx-park.com": ["/news", "/contact"],
+  },
+  users: 100,
+  stages: [], // Time-based load stages, e.g. "2m:200"; [] = every user visits every URL once
+  arrivalRate: null, // New visitors per second (open model); null = fixed users
+  duration: null, // How long visitors keep arriving, e.g. "5m" (open model only)
+  maxInFlight: 100, // Arrivals are dropped while this many visitors are in flight
+  concurrency: null, // null = min(15, CPU count)
+  poolSize: null, // Browsers per engine; null = min(CPU count, concurrency / 4)
+  delayMin: 200, // Min delay between user actions in ms
+  delayMax: 1000, // Max delay between user actions in ms
+  thinkTime: null, // Think time distribution(s), e.g. { distribution: "normal", mean: 2000, stdDev: 500 }; null = uniform delayMin-delayMax after visits only
+  timeout: 60000, // Navigation timeout in ms
+  retries: 2,
+  outputDir: ".",
+  browsers: ["chromium"], // Engines, optionally with a share of users: "firefox=20"
+  devices: [], // Device profiles with shares, e.g. "iPhone 14=60"; [] = desktop
+  networks: [], // Network profiles with shares, e.g. "Slow 3G=30"; [] = unthrottled
+  locales: [], // Language versions to compare, e.g. "zh-CN:/cn/*"
+  sitemap: false, // Add URLs discovered from each origin's sitemap
+  sitemapLimit: 50, // Max sitemap URLs per origin
+  crawl: false, // Add URLs found by following links from each origin's home page
+  crawlDepth: 2, // Max link depth from the home page
+  crawlPages: 50, // Max pages visited per origin while crawling
+  include: [], // Patterns discovered URLs must match (any)
+  exclude: [], // Patterns that drop discovered URLs
+  journeys: [], // Scripted journeys run instead of single-page visits
+  har: null, // HAR file whose page navigations are replayed as a journey
+  harThinkScale: 1, // Multiplier for the think times recorded in the HAR
+  vitals: true, // Capture Web Vitals (TTFB, FCP, LCP, CLS, TBT, INP) per page
+  waterfallSample: 0, // Percent of successful visits saved as request waterfalls (saved failures always are)
+  report: true, // Write the HTML report
+  verbose: true, // Log every visit
+  logger: console,
+};
+
+// Defaults for the stepped capacity run (adenenergies.js)
+const CAPACITY_DEFAULTS = {
+  domains: {
+    "https://adengroup.com": [
+      "/about-us",
+      "/sustainability",
+      "/career",
+      "/media",
+      "/contact",
+      "/cn/",
+      "/cn/about-us",
+      "/cn/sustainability",
+      "/cn/career",
+      "/cn/media",
+      "/cn/contact",
+    ],
+  },
+  minUsers: 20, // Starting number of concurrent users
+  maxUsers: 1000, // Maximum number of concurrent users to test
+  stepSize: 20, // How many users to add in each step
+  search: "linear", // "linear" steps or "adaptive" (grow, then bisect)
+  searchResolution: 10, // Adaptive search stops once pass and fail are this close
+  repeats: 1, // Runs per load level; more runs give confidence intervals
+  confidence: 95, // Confidence level (%) of the intervals the verdict uses
+  stepDuration: null, // Hold each step for this long (e.g. "1m"); null = one visit per user
+  delayMin: 200,
+  delayMax: 1000,
+  thinkTime: null,
+  successThreshold: 90, // Success rate threshold to consider a load level acceptable
+  responseThreshold: 60000, // Response time threshold in ms
+  responsePercentile: null, // Percentile the response threshold applies to; null = average
+  weights: [], // Traffic mix rules: [{ match: "/media*", weight: 20 }] (percent)
+  timeout: 30000,
+  retries: 0,
+  concurrency: null, // null = max(2, min(CPU count * 2, 20))
+  poolSize: null, // Browsers per engine; null = min(CPU count, concurrency / 4)
+  outputDir: null, // null = stress_test_results_<first host>
+  browsers: ["chromium"],
+  devices: [],
+  networks: [],
+  locales: [],
+  sitemap: false,
+  sitemapLimit: 50,
+  crawl: false,
+  crawlDepth: 2,
+  crawlPages: 50,
+  include: [],
+  exclude: [],
+  journeys: [],
+  har: null,
+  harThinkScale: 1,
+  vitals: true,
+  waterfallSample: 0,
+  report: true,
+  verbose: false,
+  logger: console,
+};
+
+const DEFAULTS = {
+  stress: STRESS_DEFAULTS,
+  capacity: CAPACITY_DEFAULTS,
+};
+
+// Thrown for invalid option values so callers can tell them apart from run failures
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+// Build a domains map ({ origin: [paths] }) from full URLs plus extra paths
+function buildDomains(urls, paths = []) {
+  const domains = {};
+
+  for (const raw of urls) {
+    let urlObj;
+    try {
+      urlObj = new URL(raw);
+    } catch (error) {
+      throw new UsageError(`Invalid URL: ${raw}`);
+    }
+    if (urlObj.protocol !== "http:" && urlObj.protocol !== "https:") {
+      throw new UsageError(`URL must use http or https: ${raw}`);
+    }
+
+    if (!domains[urlObj.origin]) {
+      domains[urlObj.origin] = [];
+    }
+
+    // The origin itself is always tested, so only keep non-root paths
+    const subpath = urlObj.pathname + urlObj.search;
+    if (subpath !== "/" && !domains[urlObj.origin].includes(subpath)) {
+      domains[urlObj.origin].push(subpath);
+    }
+  }
+
+  for (const origin in domains) {
+    for (const subpath of paths) {
+      const normalized = subpath.startsWith("/") ? subpath : `/${subpath}`;
+      if (!domains[origin].includes(normalized)) {
+        domains[origin].push(normalized);
+      }
+    }
+  }
+
+  return domains;
+}
+
+function assertInteger(options, key, min) {
+  const value = options[key];
+  if (!Number.isInteger(value) || value < min) {
+    throw new UsageError(`${key} must be an integer >= ${min} (got ${value})`);
+  }
+}
+
+function assertRange(options, key, min, max) {
+  const value = options[key];
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    throw new UsageError(`${key} must be a number (got ${value})`);
+  }
+  if (value < min || value > max) {
+    throw new UsageError(
+      `${key} must be between ${min} and ${max} (got ${value})`
+    );
+  }
+}
+
+function isValidStepField(step, field) {
+  const value = step[field];
+  if (field === "pixels") return Number.isInteger(value);
+  if (field === "ms") return Number.isInteger(value) && value >= 0;
+  if (field === "value") return typeof value === "string";
+  return typeof value === "string" && value.length > 0;
+}
+
+// Resolve think time into a distribution per action ("default", "visit" or
+// a journey step action). It is given as one distribution, as a CLI string
+// such as "normal:mean=2000,stdDev=500", or as distributions keyed by
+// action. Actions without one use the default when given. Visits otherwise
+// think uniform delayMin-delayMax; journey steps do not think at all, so
+// journeys only pause where they say so.
+function resolveThinkTime(thinkTime, delayMin, delayMax) {
+  let byAction = {};
+  if (typeof thinkTime === "string") {
+    byAction[DEFAULT_ACTION] = parseThinkTime(thinkTime);
+  } else if (thinkTime && thinkTime.distribution !== undefined) {
+    byAction[DEFAULT_ACTION] = thinkTime;
+  } else if (thinkTime !== null) {
+    if (typeof thinkTime !== "object" || Array.isArray(thinkTime)) {
+      throw new UsageError("thinkTime must be a distribution or an object");
+    }
+    byAction = { ...thinkTime };
+  }
+  if (!byAction[DEFAULT_ACTION] && !byAction.visit) {
+    byAction.visit = {
+      distribution: "uniform",
+      min: delayMin,
+      max: delayMax,
+    };
+  }
+
+  // Pause steps are think time already
+  const actions = [
+    DEFAULT_ACTION,
+    "visit",
+    ...Object.keys(STEP_FIELDS).filter((action) => action !== "pause"),
+  ];
+  for (const action in byAction) {
+    if (!actions.includes(action)) {
+      throw new UsageError(
+        `Unknown thinkTime action: ${action} (expected one of ${actions.join(
+          ", "
+        )})`
+      );
+    }
+    const problem = checkThinkTime(byAction[action]);
+    if (problem) {
+      throw new UsageError(`Think time for ${action}: ${problem}`);
+    }
+  }
+  return byAction;
+}
+
+// Validate journeys and resolve their base URL (default: first origin)
+function resolveJourneys(journeys, domains) {
+  if (!Array.isArray(journeys)) {
+    throw new UsageError("journeys must be a list");
+  }
+
+  const names = new Set();
+  return journeys.map((journey, index) => {
+    const label = `journeys[${index}]`;
+    if (!journey || typeof journey.name !== "string" || !journey.name) {
+      throw new UsageError(`${label} needs a name`);
+    }
+    if (names.has(journey.name)) {
+      throw new UsageError(`Duplicate journey name: ${journey.name}`);
+    }
+    names.add(journey.name);
+
+    if (!Array.isArray(journey.steps) || journey.steps.length === 0) {
+      throw new UsageError(`Journey "${journey.name}" needs at least one step`);
+    }
+    journey.steps.forEach((step, stepIndex) => {
+      const fields = step ? STEP_FIELDS[step.action] : null;
+      if (!fields) {
+        throw new UsageError(
+          `Journey "${journey.name}" step ${
+            stepIndex + 1
+          }: action must be one of ${Object.keys(STEP_FIELDS).join(", ")}`
+        );
+      }
+      for (const field of fields) {
+        if (!isValidStepField(step, field)) {
+          throw new UsageError(
+            `Journey "${journey.name}" step ${stepIndex + 1}: ${
+              step.action
+            } needs a valid ${field}`
+          );
+        }
+      }
+      const problem = step.thinkTime ? checkThinkTime(step.thinkTime) : null;
+      if (problem) {
+        throw new UsageError(
+          `Journey "${journey.name}" step ${
+            stepIndex + 1
+          }: think time ${problem}`
+        );
+      }
+    });
+
+    const baseUrl = journey.baseUrl || Object.keys(domains)[0];
+    if (!/^https?:\/\//.test(baseUrl)) {
+      throw new UsageError(
+        `Journey "${journey.name}": baseUrl must use http or https`
+      );
+    }
+    return { ...journey, baseUrl };
+  });
+}
+
+// Validate locales, given as "code" / "code:pattern" strings or as
+// { name, match, locale, timezone, acceptLanguage }, and parse their patterns
+function resolveLocales(locales) {
+  if (!Array.isArray(locales)) {
+    throw new UsageError("locales must be a list");
+  }
+
+  const names = new Set();
+  let fallback = null;
+  return locales.map((entry, index) => {
+    let locale = entry;
+    if (typeof entry === "string") {
+      const separator = entry.indexOf(":");
+      const code = separator === -1 ? entry : entry.slice(0, separator);
+      locale = { name: code, locale: code };
+      if (separator !== -1) locale.match = entry.slice(separator + 1);
+    }
+    if (!locale || typeof locale !== "object") {
+      throw new UsageError(`locales[${index}] must be a string or an object`);
+    }
+
+    const name = locale.name || locale.locale;
+    if (typeof name !== "string" || name === "") {
+      throw new UsageError(`locales[${index}] needs a name or locale`);
+    }
+    if (names.has(name)) {
+      throw new UsageError(`Duplicate locale: ${name}`);
+    }
+    names.add(name);
+
+    for (const field of ["locale", "timezone", "acceptLanguage"]) {
+      if (locale[field] !== undefined && typeof locale[field] !== "string") {
+        throw new UsageError(`${field} of locale ${name} must be a string`);
+      }
+    }
+    if (locale.timezone) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: locale.timezone });
+      } catch (error) {
+        throw new UsageError(
+          `Unknown timezone for locale ${name}: ${locale.timezone}`
+        );
+      }
+    }
+
+    let match = locale.match === undefined ? [] : locale.match;
+    if (!Array.isArray(match)) match = [match];
+    const patterns = match.map((pattern) => {
+      const parsed = parseLocalePattern(pattern);
+      if (!parsed) {
+        throw new UsageError(
+          `Invalid URL pattern for locale ${name}: ${pattern} (expected a path prefix such as "/cn/*" or a query parameter such as "?lang=cn")`
+        );
+      }
+      return parsed;
+    });
+
+    // URLs no pattern matches belong to the one locale without patterns
+    if (patterns.length === 0) {
+      if (fallback) {
+        throw new UsageError(
+          `Only one locale can omit match (${fallback} and ${name} do)`
+        );
+      }
+      fallback = name;
+    }
+
+    return {
+      name,
+      match,
+      patterns,
+      locale: locale.locale,
+      timezone: locale.timezone,
+      acceptLanguage: locale.acceptLanguage,
+    };
+  });
+}
+
+// Validate load stages, given as "duration:target" strings or as
+// { name, duration, target }, and convert their durations to ms
+function resolveStages(stages) {
+  if (!Array.isArray(stages)) {
+    throw new UsageError("stages must be a list");
+  }
+
+  const resolvedStages = stages.map((entry, index) => {
+    let stage = entry;
+    if (typeof entry === "string" && entry.includes(":")) {
+      const separator = entry.lastIndexOf(":");
+      stage = {
+        duration: entry.slice(0, separator),
+        target: Number(entry.slice(separator + 1)),
+      };
+    }
+    if (!stage || typeof stage !== "object") {
+      throw new UsageError(
+        `stages[${index}] must be "duration:target" or an object`
+      );
+    }
+
+    const duration = parseDuration(stage.duration);
+    if (!duration) {
+      throw new UsageError(
+        `Stage ${
+          index + 1
+        } needs a duration above 0, e.g. 90, "30s" or "2m" (got ${
+          stage.duration
+        })`
+      );
+    }
+    if (!Number.isInteger(stage.target) || stage.target < 0) {
+      throw new UsageError(
+        `Stage ${index + 1} needs a target user count >= 0 (got ${
+          stage.target
+        })`
+      );
+    }
+    return { name: stage.name, duration, target: stage.target };
+  });
+
+  if (
+    resolvedStages.length > 0 &&
+    !resolvedStages.some((stage) => stage.target > 0)
+  ) {
+    throw new UsageError("At least one stage needs a target above 0 users");
+  }
+  return resolvedStages;
+}
+
+// Validate the open-model options and convert the duration to ms
+function resolveArrivals(resolved) {
+  if (resolved.arrivalRate === null) {
+    if (resolved.duration !== null) {
+      throw new UsageError("duration only applies together with arrivalRate");
+    }
+    return;
+  }
+
+  if (!(typeof resolved.arrivalRate === "number" && resolved.arrivalRate > 0)) {
+    throw new UsageError(
+      `arrivalRate must be a number above 0 (got ${resolved.arrivalRate})`
+    );
+  }
+  if (resolved.stages.length > 0) {
+    throw new UsageError("Use either stages or arrivalRate, not both");
+  }
+  const duration = parseDuration(resolved.duration);
+  if (!duration) {
+    throw new UsageError(
+      `arrivalRate needs a duration above 0, e.g. 60, "30s" or "5m" (got ${resolved.duration})`
+    );
+  }
+  resolved.duration = duration;
+  assertInteger(resolved, "maxInFlight", 1);
+}
+
+// Read a HAR file and convert its navigations into a journey
+function loadHarJourney(filePath, thinkTimeScale) {
+  let har;
+  try {
+    har = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Cannot read HAR ${filePath}: ${error.message}`);
+  }
+
+  try {
+    return harToJourney(har, {
+      name: `HAR ${path.basename(filePath)}`,
+      thinkTimeScale,
+    });
+  } catch (error) {
+    throw new UsageError(`Invalid HAR ${filePath}: ${error.message}`);
+  }
+}
+
+const NETWORK_FIELDS = ["latency", "download", "upload"];
+
+// Collect the network profiles the entries can refer to: the built-in ones
+// plus custom ones given as { name, latency, download, upload }
+function resolveNetworkProfiles(entries) {
+  const profiles = { ...NETWORK_PROFILES };
+  for (const entry of entries) {
+    if (!entry || typeof entry !== "object") continue;
+    // Chromium's network emulation only drops WebRTC packets, so packet
+    // loss would not slow down page loads
+    if (entry.packetLoss !== undefined && entry.packetLoss !== 0) {
+      throw new UsageError(
+        `packetLoss of network profile ${entry.name} is not supported: Chromium only applies it to WebRTC traffic`
+      );
+    }
+    if (!NETWORK_FIELDS.some((field) => entry[field] !== undefined)) continue;
+
+    const name = entry.name;
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new UsageError("Custom network profiles need a name");
+    }
+    if (name === UNTHROTTLED || NETWORK_PROFILES[name]) {
+      throw new UsageError(
+        `Network profile ${name} is built in and cannot be redefined`
+      );
+    }
+
+    const profile = {};
+    for (const field of NETWORK_FIELDS) {
+      const value = entry[field] !== undefined ? entry[field] : 0;
+      if (!(typeof value === "number" && value >= 0)) {
+        throw new UsageError(
+          `${field} of network profile ${name} must be a number >= 0 (got ${value})`
+        );
+      }
+      profile[field] = value;
+    }
+    profiles[name] = profile;
+  }
+  return profiles;
+}
+
+// Split share entries ("name", "name=20" or an object with the name under
+// keyField and an optional share) into names and each name's share in
+// percent. Names without a share split whatever the others leave of 100.
+function resolveShares(entries, { label, keyField, isKnown, knownHint }) {
+  const shares = {};
+  for (const entry of entries) {
+    let name = entry;
+    let share = null;
+    if (typeof entry === "string" && entry.includes("=")) {
+      const rule = parseWeightRule(entry);
+      name = rule.match;
+      share = rule.weight;
+    } else if (entry && typeof entry === "object") {
+      name = entry[keyField];
+      share = entry.share !== undefined ? entry.share : null;
+    }
+
+    if (!isKnown(name)) {
+      throw new UsageError(`Unknown ${label}: ${name} (${knownHint})`);
+    }
+    if (name in shares) {
+      throw new UsageError(`Duplicate ${label}: ${name}`);
+    }
+    if (share !== null && !(typeof share === "number" && share > 0)) {
+      throw new UsageError(`Share of ${name} must be a number above 0`);
+    }
+    shares[name] = share;
+  }
+
+  const names = Object.keys(shares);
+  const unset = names.filter((name) => shares[name] === null);
+  const assigned = names.reduce((sum, name) => sum + (shares[name] || 0), 0);
+  if (unset.length > 0) {
+    const remainder = (100 - assigned) / unset.length;
+    if (remainder <= 0) {
+      throw new UsageError(
+        `The ${label} shares add up to ${assigned}%, leaving nothing for ${unset.join(
+          ", "
+        )}`
+      );
+    }
+    unset.forEach((name) => {
+      shares[name] = remainder;
+    });
+  }
+
+  // Normalize so the shares add up to 100 even if they were given otherwise
+  const total = names.reduce((sum, name) => sum + shares[name], 0);
+  const normalized = {};
+  for (const name of names) {
+    normalized[name] = Math.round((shares[name] / total) * 1000) / 10;
+  }
+  return { names, shares: normalized };
+}
+
+// Merge options over the command defaults and validate the result
+function resolveOptions(command, options = {}) {
+  const defaults = DEFAULTS[command];
+  if (!defaults) {
+    throw new UsageError(`Unknown command: ${command}`);
+  }
+
+  const resolved = { ...defaults };
+  for (const key in options) {
+    if (options[key] !== undefined) {
+      resolved[key] = options[key];
+    }
+  }
+
+  // Explicit URLs replace the default domains
+  if (options.urls && options.urls.length > 0) {
+    resolved.domains = buildDomains(options.urls, options.paths);
+  } else if (options.paths && options.paths.length > 0) {
+    const existingUrls = [];
+    for (const origin in resolved.domains) {
+      existingUrls.push(origin);
+      for (const subpath of resolved.domains[origin]) {
+        existingUrls.push(origin + subpath);
+      }
+    }
+    resolved.domains = buildDomains(existingUrls, options.paths);
+  }
+  delete resolved.urls;
+  delete resolved.paths;
+
+  if (Object.keys(resolved.domains).length === 0) {
+    throw new UsageError("At least one target URL is required");
+  }
+
+  assertInteger(resolved, "delayMin", 0);
+  assertInteger(resolved, "delayMax", 0);
+  if (resolved.delayMin > resolved.delayMax) {
+    throw new UsageError(
+      `delayMin (${resolved.delayMin}) must not exceed delayMax (${resolved.delayMax})`
+    );
+  }
+  resolved.thinkTime = resolveThinkTime(
+    resolved.thinkTime,
+    resolved.delayMin,
+    resolved.delayMax
+  );
+  assertInteger(resolved, "timeout", 1);
+  assertInteger(resolved, "retries", 0);
+  if (resolved.concurrency !== null) {
+    assertInteger(resolved, "concurrency", 1);
+  }
+  if (resolved.poolSize !== null) {
+    assertInteger(resolved, "poolSize", 1);
+  }
+
+  assertInteger(resolved, "sitemapLimit", 1);
+  assertInteger(resolved, "crawlDepth", 0);
+  assertInteger(resolved, "crawlPages", 1);
+  for (const key of ["include", "exclude"]) {
+    if (
+      !Array.isArray(resolved[key]) ||
+      resolved[key].some((pattern) => typeof pattern !== "string")
+    ) {
+      throw new UsageError(`${key} must be a list of patterns`);
+    }
+  }
+  assertRange(resolved, "waterfallSample", 0, 100);
+
+  if (resolved.har) {
+    if (
+      !(
+        typeof resolved.harThinkScale === "number" &&
+        resolved.harThinkScale >= 0
+      )
+    ) {
+      throw new UsageError(
+        `harThinkScale must be a number >= 0 (got ${resolved.harThinkScale})`
+      );
+    }
+    resolved.journeys = [
+      ...resolved.journeys,
+      loadHarJourney(resolved.har, resolved.harThinkScale),
+    ];
+  }
+  resolved.journeys = resolveJourneys(resolved.journeys, resolved.domains);
+  resolved.locales = resolveLocales(resolved.locales);
+
+  if (!Array.isArray(resolved.browsers) || resolved.browsers.length === 0) {
+    throw new UsageError("At least one browser is required");
+  }
+  const engines = resolveShares(resolved.browsers, {
+    label: "browser",
+    keyField: "engine",
+    isKnown: (name) => Boolean(BROWSER_LAUNCHERS[name]),
+    knownHint: `expected one of ${Object.keys(BROWSER_LAUNCHERS).join(", ")}`,
+  });
+  resolved.browsers = engines.names;
+  resolved.browserShares = engines.shares;
+
+  if (!Array.isArray(resolved.devices)) {
+    throw new UsageError("devices must be a list");
+  }
+  const devices = resolveShares(
+    resolved.devices.length > 0 ? resolved.devices : [DESKTOP],
+    {
+      label: "device",
+      keyField: "name",
+      isKnown: isKnownDevice,
+      knownHint: `expected "${DESKTOP}" or a Playwright device name such as "iPhone 14" or "Pixel 7"`,
+    }
+  );
+  resolved.devices = devices.names;
+  resolved.deviceShares = devices.shares;
+
+  if (!Array.isArray(resolved.networks)) {
+    throw new UsageError("networks must be a list");
+  }
+  if (resolved.networks.length > 0 && !resolved.browsers.includes("chromium")) {
+    throw new UsageError(
+      "Network profiles are applied through Chromium; add chromium to browsers"
+    );
+  }
+  const profiles = resolveNetworkProfiles(resolved.networks);
+  const networks = resolveShares(
+    resolved.networks.length > 0 ? resolved.networks : [UNTHROTTLED],
+    {
+      label: "network profile",
+      keyField: "name",
+      isKnown: (name) => name === UNTHROTTLED || Boolean(profiles[name]),
+      knownHint: `expected "${UNTHROTTLED}", one of ${Object.keys(
+        NETWORK_PROFILES
+      ).join(", ")} or a custom profile`,
+    }
+  );
+  resolved.networks = networks.names;
+  resolved.networkShares = networks.shares;
+  resolved.networkProfiles = profiles;
+
+  if (command === "stress") {
+    assertInteger(resolved, "users", 1);
+    resolved.stages = resolveStages(resolved.stages);
+    resolveArrivals(resolved);
+    // Stress users go through the URLs in turn, so a traffic mix would
+    // silently do nothing. An empty list is the default elsewhere.
+    if (
+      resolved.weights !== undefined &&
+      !(Array.isArray(resolved.weights) && resolved.weights.length === 0)
+    ) {
+      throw new UsageError(
+        "weights (a plan's traffic) are only supported by the capacity test; stress users visit the URLs in turn"
+      );
+    }
+  } else {
+    assertInteger(resolved, "minUsers", 1);
+    assertInteger(resolved, "maxUsers", 1);
+    assertInteger(resolved, "stepSize", 1);
+    if (!SEARCH_STRATEGIES.includes(resolved.search)) {
+      throw new UsageError(
+        `search must be one of ${SEARCH_STRATEGIES.join(", ")} (got ${
+          resolved.search
+        })`
+      );
+    }
+    assertInteger(resolved, "searchResolution", 1);
+    assertInteger(resolved, "repeats", 1);
+    if (!CONFIDENCE_LEVELS.includes(resolved.confidence)) {
+      throw new UsageError(
+        `confidence must be one of ${CONFIDENCE_LEVELS.join(", ")} (got ${
+          resolved.confidence
+        })`
+      );
+    }
+    if (resolved.stepDuration !== null) {
+      const stepDuration = parseDuration(resolved.stepDuration);
+      if (!stepDuration) {
+        throw new UsageError(
+          `stepDuration must be a duration above 0, e.g. 60, "30s" or "2m" (got ${resolved.stepDuration})`
+        );
+      }
+      resolved.stepDuration = stepDuration;
+    }
+    if (resolved.minUsers > resolved.maxUsers) {
+      throw new UsageError(
+        `minUsers (${resolved.minUsers}) must not exceed maxUsers (${resolved.maxUsers})`
+      );
+    }
+    assertRange(resolved, "successThreshold", 0, 100);
+    assertInteger(resolved, "responseThreshold", 1);
+    if (resolved.responsePercentile !== null) {
+      assertRange(resolved, "responsePercentile", 0, 100);
+      if (resolved.responsePercentile === 0) {
+        throw new UsageError("responsePercentile must be above 0 (got 0)");
+      }
+    }
+
+    if (!Array.isArray(resolved.weights)) {
+      throw new UsageError("weights must be a list of pattern=weight rules");
+    }
+    resolved.weights = resolved.weights.map((rule) => {
+      const parsed = typeof rule === "string" ? parseWeightRule(rule) : rule;
+      if (
+        !parsed ||
+        typeof parsed.match !== "string" ||
+        typeof parsed.weight !== "number" ||
+        !(parsed.weight > 0)
+      ) {
+        throw new UsageError(
+          `Invalid weight ${JSON.stringify(
+            rule
+          )} (expected pattern=weight with a weight above 0)`
+        );
+      }
+      return { match: parsed.match, weight: parsed.weight };
+    });
+
+    if (!resolved.outputDir) {
+      const firstHost = new URL(Object.keys(resolved.domains)[0]).host;
+      resolved.outputDir = `stress_test_results_${firstHost}`;
+    }
+  }
+
+  return resolved;
+}
+
+// Map browser names to the { name, launcher } entries the runners expect
+function resolveBrowsers(names) {
+  return names.map((name) => BROWSER_LAUNCHERS[name]);
+}
+
+module.exports = {
+  BROWSER_LAUNCHERS,
+  DEFAULTS,
+  UsageError,
+  buildDomains,
+  resolveOptions,
+  resolveBrowsers,
+};
@@ -0,0 +1,33 @@
+// lib/patterns.js
+
+// Compile a glob-style URL pattern ("*" matches anything) into a RegExp
+function compilePattern(pattern) {
+  const escaped = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${escaped}$`, "i");
+}
+
+// Test a URL against a compiled pattern. Patterns are matched against the
+// path plus query string, and also against the full URL.
+function matchesUrl(regex, url) {
+  const urlObj = new URL(url);
+  return regex.test(urlObj.pathname + urlObj.search) || regex.test(urlObj.href);
+}
+
+// Build a filter that keeps URLs matching any include pattern (if given)
+// and none of the exclude patterns
+function createUrlFilter(include = [], exclude = []) {
+  const includes = include.map(compilePattern);
+  const excludes = exclude.map(compilePattern);
+
+  return (url) => {
+    const matches = (regex) => matchesUrl(regex, url);
+
+    if (includes.length > 0 && !includes.some(matches)) return false;
+    return !excludes.some(matches);
+  };
+}
+
+module.exports = { compilePattern, matchesUrl, createUrlFilter };
@@ -0,0 +1,324 @@
+// lib/plan.js
+const fs = require("fs");
+const path = require("path");
+const Ajv = require("ajv");
+const YAML = require("yaml");
+const { UsageError } = require("./options");
+const schema = require("../schema/plan.schema.json");
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(schema);
+
+// Thrown when a plan file cannot be parsed or fails validation.
+// Each issue carries the line and column it was found at.
+class PlanError extends UsageError {
+  constructor(filePath, issues) {
+    super(
+      `Invalid plan ${filePath}:\n${issues
+        .map(
+          (issue) =>
+            `  ${filePath}:${issue.line}:${issue.column} ${
+              issue.path ? `${issue.path}: ` : ""
+            }${issue.message}`
+        )
+        .join("\n")}`
+    );
+    this.name = "PlanError";
+    this.filePath = filePath;
+    this.issues = issues;
+  }
+}
+
+// Convert a JSON pointer (e.g. "/targets/0/url") into path segments
+function pointerToSegments(pointer) {
+  if (!pointer) return [];
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .map((segment) => (/^\d+$/.test(segment) ? Number(segment) : segment));
+}
+
+// Human-readable form of path segments, e.g. targets[0].url
+function formatPath(segments) {
+  return segments
+    .map((segment, index) =>
+      typeof segment === "number"
+        ? `[${segment}]`
+        : index === 0
+        ? segment
+        : `.${segment}`
+    )
+    .join("");
+}
+
+// Find the source position of the deepest existing node along the path
+function locate(doc, lineCounter, segments) {
+  for (let depth = segments.length; depth > 0; depth--) {
+    const parentPath = segments.slice(0, depth - 1);
+    const parent =
+      parentPath.length === 0 ? doc.contents : doc.getIn(parentPath, true);
+    const segment = segments[depth - 1];
+
+    let node = null;
+    if (YAML.isMap(parent)) {
+      // Point at the key so unknown and mistyped properties are easy to find
+      const pair = parent.items.find(
+        (item) =>
+          (YAML.isScalar(item.key) ? item.key.value : item.key) === segment
+      );
+      node = pair ? pair.key : null;
+    } else if (YAML.isSeq(parent)) {
+      node = parent.items[segment];
+    }
+
+    if (node && node.range) {
+      const position = lineCounter.linePos(node.range[0]);
+      return { line: position.line, column: position.col };
+    }
+  }
+
+  if (doc.contents && doc.contents.range) {
+    const position = lineCounter.linePos(doc.contents.range[0]);
+    return { line: position.line, column: position.col };
+  }
+  return { line: 1, column: 1 };
+}
+
+function describeSchemaError(error) {
+  const segments = pointerToSegments(error.instancePath);
+
+  if (error.keyword === "additionalProperties") {
+    segments.push(error.params.additionalProperty);
+    return { segments, message: "unknown property" };
+  }
+  if (error.keyword === "enum") {
+    return {
+      segments,
+      message: `must be one of ${error.params.allowedValues.join(", ")}`,
+    };
+  }
+
+  return { segments, message: error.message };
+}
+
+// Checks that span several fields and cannot be expressed in the schema
+function checkConsistency(plan) {
+  const problems = [];
+
+  if (plan.delay && plan.delay.min > plan.delay.max) {
+    problems.push({
+      segments: ["delay", "min"],
+      message: `must not exceed delay.max (${plan.delay.max})`,
+    });
+  }
+  if (plan.load && plan.load.minUsers > plan.load.maxUsers) {
+    problems.push({
+      segments: ["load", "minUsers"],
+      message: `must not exceed load.maxUsers (${plan.load.maxUsers})`,
+    });
+  }
+
+  const journeyNames = new Set();
+  (plan.journeys || []).forEach((journey, index) => {
+    if (journeyNames.has(journey.name)) {
+      problems.push({
+        segments: ["journeys", index, "name"],
+        message: `duplicate journey name "${journey.name}"`,
+      });
+    }
+    journeyNames.add(journey.name);
+  });
+
+  return problems;
+}
+
+// The YAML parser tolerates things JSON does not (comments, trailing commas),
+// so .json plans are checked with the strict parser first
+function checkJsonSyntax(text, filePath) {
+  try {
+    JSON.parse(text);
+  } catch (error) {
+    const match = /position (\d+)/.exec(error.message);
+    const offset = match ? Number(match[1]) : 0;
+    const before = text.slice(0, offset).split("\n");
+    throw new PlanError(filePath, [
+      {
+        line: before.length,
+        column: before[before.length - 1].length + 1,
+        path: null,
+        message: error.message.replace(/ in JSON at position \d+.*$/, ""),
+      },
+    ]);
+  }
+}
+
+// Parse and validate plan source text (JSON or YAML)
+function parsePlan(text, filePath = "<plan>") {
+  if (filePath.toLowerCase().endsWith(".json")) {
+    checkJsonSyntax(text, filePath);
+  }
+
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+
+  if (doc.errors.length > 0) {
+    throw new PlanError(
+      filePath,
+      doc.errors.map((error) => {
+        const position = error.linePos ? error.linePos[0] : null;
+        return {
+          line: position ? position.line : 1,
+          column: position ? position.col : 1,
+          path: null,
+          message: error.message.split("\n")[0],
+        };
+      })
+    );
+  }
+
+  const plan = doc.toJS();
+  let problems = [];
+  if (!validateSchema(plan)) {
+    // "if" errors only repeat the "then" failures reported next to them
+    problems = validateSchema.errors
+      .filter((error) => error.keyword !== "if")
+      .map(describeSchemaError);
+  } else {
+    problems = checkConsistency(plan);
+  }
+
+  if (problems.length > 0) {
+    const issues = problems.map(({ segments, message }) => ({
+      ...locate(doc, lineCounter, segments),
+      path: formatPath(segments) || null,
+      message,
+    }));
+    issues.sort((a, b) => a.line - b.line || a.column - b.column);
+    throw new PlanError(filePath, issues);
+  }
+
+  return plan;
+}
+
+// Read a plan file from disk
+function loadPlan(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, "utf8");
+  } catch (error) {
+    throw new UsageError(`Cannot read plan ${filePath}: ${error.message}`);
+  }
+  return parsePlan(text, filePath);
+}
+
+// Translate a validated plan into runner options for the given command
+function planToOptions(plan, command) {
+  const domains = {};
+  for (const target of plan.targets) {
+    const origin = new URL(target.url).origin;
+    if (!domains[origin]) {
+      domains[origin] = [];
+    }
+    for (const subpath of target.paths || []) {
+      if (!domains[origin].includes(subpath)) {
+        domains[origin].push(subpath);
+      }
+    }
+  }
+
+  const load = plan.load || {};
+  const delay = plan.delay || {};
+  const thresholds = plan.thresholds || {};
+
+  const options = {
+    domains,
+    concurrency: load.concurrency,
+    poolSize: load.poolSize,
+    delayMin: delay.min,
+    delayMax: delay.max,
+    thinkTime: plan.thinkTime,
+    timeout: plan.timeouts ? plan.timeouts.navigation : undefined,
+    browsers: plan.browsers,
+    devices: plan.devices,
+    networks: plan.networks,
+    locales: plan.locales,
+    vitals: plan.metrics ? plan.metrics.vitals : undefined,
+    waterfallSample: plan.metrics ? plan.metrics.waterfallSample : undefined,
+    outputDir: plan.output ? plan.output.dir : undefined,
+    journeys: plan.journeys,
+    // Capacity only; stress runs reject it rather than ignore it
+    weights: plan.traffic,
+  };
+
+  if (plan.replay) {
+    options.har = plan.replay.har;
+    options.harThinkScale = plan.replay.thinkTimeScale;
+  }
+
+  if (plan.discovery) {
+    options.sitemap = plan.discovery.sitemap;
+    options.sitemapLimit = plan.discovery.sitemapLimit;
+    options.crawl = plan.discovery.crawl;
+    options.crawlDepth = plan.discovery.crawlDepth;
+    options.crawlPages = plan.discovery.crawlPages;
+    options.include = plan.discovery.include;
+    options.exclude = plan.discovery.exclude;
+  }
+
+  if (command === "stress") {
+    options.users = load.users;
+    options.stages = load.stages;
+    options.arrivalRate = load.arrivalRate;
+    options.duration = load.duration;
+    options.maxInFlight = load.maxInFlight;
+    options.retries = load.retries;
+  } else {
+    options.minUsers = load.minUsers;
+    options.maxUsers = load.maxUsers;
+    options.stepSize = load.stepSize;
+    options.search = load.search;
+    options.searchResolution = load.searchResolution;
+    options.repeats = load.repeats;
+    options.stepDuration = load.stepDuration;
+    options.successThreshold = thresholds.successRate;
+    options.responseThreshold = thresholds.responseTime;
+    options.responsePercentile = thresholds.responsePercentile;
+    options.confidence = thresholds.confidence;
+  }
+
+  return options;
+}
+
+// Merge a plan (file path or parsed object) given as options.plan under the
+// other options, which take precedence
+function applyPlan(command, options = {}) {
+  if (!options.plan) {
+    return options;
+  }
+
+  const plan =
+    typeof options.plan === "string"
+      ? loadPlan(options.plan)
+      : parsePlan(JSON.stringify(options.plan));
+  const merged = { ...planToOptions(plan, command), planName: plan.name };
+
+  // Files referenced by a plan file are relative to the plan
+  if (typeof options.plan === "string" && merged.har) {
+    merged.har = path.resolve(path.dirname(options.plan), merged.har);
+  }
+  for (const key in options) {
+    if (key !== "plan" && options[key] !== undefined) {
+      merged[key] = options[key];
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  PlanError,
+  parsePlan,
+  loadPlan,
+  planToOptions,
+  applyPlan,
+};
@@ -0,0 +1,38 @@
+// lib/queue.js
+
+// Shuffle an array in place for a more realistic load pattern
+function shuffle(items) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+// Process queued tasks with at most concurrencyLimit running at once
+async function runQueue(tasks, concurrencyLimit, worker, logger = console) {
+  const testQueue = [...tasks];
+  const runningPromises = new Set();
+
+  while (testQueue.length > 0 || runningPromises.size > 0) {
+    // Fill up to concurrency limit
+    while (runningPromises.size < concurrencyLimit && testQueue.length > 0) {
+      const task = testQueue.shift();
+
+      const promise = worker(task)
+        .catch((error) => logger.error(`Test error: ${error}`))
+        .finally(() => {
+          runningPromises.delete(promise);
+        });
+
+      runningPromises.add(promise);
+    }
+
+    // Wait for at least one test to complete before continuing
+    if (runningPromises.size > 0) {
+      await Promise.race(runningPromises);
+    }
+  }
+}
+
+module.exports = { shuffle, runQueue };
@@ -0,0 +1,889 @@
+// lib/reports/capacity-report.js
+const {
+  escapeHtml,
+  formatDuration,
+  formatSummary,
+  formatBytes,
+  formatBandwidth,
+  PERCENTILES_HEADING,
+  formatPercentiles,
+  getSystemInfo,
+} = require("./helpers");
+const {
+  renderDiscoveredUrls,
+  renderTrafficMix,
+  renderLocaleComparison,
+  renderNavigationCells,
+  formatVital,
+  formatErrorCounts,
+} = require("./sections");
+const { getStatLabel } = require("../histogram");
+const { VITALS } = require("../vitals");
+const { NAVIGATION_PHASES } = require("../navigation-timing");
+
+const PHASE_LABELS = {
+  step: "Step",
+  grow: "Growth",
+  search: "Bisection",
+};
+
+// How the user count of each step was picked
+function describeSearch(config) {
+  return config.search === "adaptive"
+    ? `Adaptive (double the users until a step fails, then bisect to within ${config.searchResolution} users)`
+    : `Linear (${config.stepSize} users per step)`;
+}
+
+// Success rate, response time and errors of every group of users (engine,
+// device, ...) at each step run; only shown when there is more than one group
+function renderBreakdownSteps(title, steps, breakdown) {
+  const groups = [
+    ...new Set(steps.flatMap((step) => Object.keys(step[breakdown]))),
+  ];
+  if (groups.length < 2) return "";
+  const repeated = steps.some((step) => step.repeat > 1);
+
+  return `
+    <h2>${title}</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Users</th>
+          ${groups.map((group) => `<th>${escapeHtml(group)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${steps
+          .map(
+            (step) => `
+        <tr class="${step.passed ? "passed" : "failed"}">
+          <td>${step.userCount}${
+              repeated ? ` <small>(run ${step.repeat})</small>` : ""
+            }</td>
+          ${groups
+            .map((group) => {
+              const metrics = step[breakdown][group];
+              if (!metrics || metrics.requests === 0) return "<td>-</td>";
+              return `<td>${metrics.successRate}% &middot; ${
+                metrics.avgResponseTime
+              }ms<br><small>${formatErrorCounts(
+                metrics.errorTypes
+              )}</small></td>`;
+            })
+            .join("")}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// p75 Web Vitals of each load level, to show how what users perceive
+// degrades as the load grows; charted for the timing vitals
+function renderVitalsSteps(levels) {
+  const names = Object.keys(VITALS).filter((name) =>
+    levels.some((level) => level.vitals[name].count > 0)
+  );
+  if (names.length === 0) return "";
+  const timings = names.filter((name) => VITALS[name].unit === "ms");
+
+  return `
+    <h2>Web Vitals by Step (p75)</h2>
+    
+    <div class="chart-container">
+      <canvas id="vitalsChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Users</th>
+          ${names.map((name) => `<th>${VITALS[name].label}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${levels
+          .map(
+            (level, index) => `
+        <tr class="${level.passed ? "passed" : "failed"}">
+          <td>${index + 1}</td>
+          <td>${level.userCount}</td>
+          ${names
+            .map(
+              (name) => `<td>${formatVital(name, level.vitals[name].p75)}</td>`
+            )
+            .join("")}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <script>
+      new Chart(document.getElementById('vitalsChart').getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: ${JSON.stringify(
+            levels.map(
+              (level, index) => `#${index + 1}: ${level.userCount} Users`
+            )
+          )},
+          datasets: ${JSON.stringify(
+            timings.map((name) => ({
+              label: `${VITALS[name].label} p75 (ms)`,
+              data: levels.map((level) => level.vitals[name].p75),
+              tension: 0.1,
+            }))
+          )}
+        },
+        options: {
+          responsive: true,
+          interaction: { mode: 'index', intersect: false },
+          scales: { y: { min: 0, title: { display: true, text: 'ms' } } }
+        }
+      });
+    </script>
+  `;
+}
+
+// Average Navigation Timing phases of each load level as stacked bars, to
+// show which phase grows with the load
+function renderNavigationTimingSteps(levels) {
+  if (levels.every((level) => level.navigationTiming.count === 0)) return "";
+  const phases = Object.keys(NAVIGATION_PHASES);
+
+  return `
+    <h2>Navigation Timing by Step</h2>
+    
+    <div class="chart-container">
+      <canvas id="navigationTimingChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Users</th>
+          <th>Visits</th>
+          ${phases
+            .map((phase) => `<th>${NAVIGATION_PHASES[phase].label}</th>`)
+            .join("")}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${levels
+          .map(
+            (level, index) => `
+        <tr class="${level.passed ? "passed" : "failed"}">
+          <td>${index + 1}</td>
+          <td>${level.userCount}</td>
+          <td>${level.navigationTiming.count}</td>
+          ${renderNavigationCells(level.navigationTiming)}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <script>
+      new Chart(document.getElementById('navigationTimingChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: ${JSON.stringify(
+            levels.map(
+              (level, index) => `#${index + 1}: ${level.userCount} Users`
+            )
+          )},
+          datasets: ${JSON.stringify(
+            phases.map((phase) => ({
+              label: NAVIGATION_PHASES[phase].label,
+              data: levels.map((level) => level.navigationTiming.avg[phase]),
+            }))
+          )}
+        },
+        options: {
+          responsive: true,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: { stacked: true },
+            y: {
+              stacked: true,
+              min: 0,
+              title: { display: true, text: 'Average ms' }
+            }
+          }
+        }
+      });
+    </script>
+  `;
+}
+
+// Rows shown in the slowest assets by step table
+const TOP_ASSETS = 10;
+
+// Sub-resource latency and failures of each load level, overall and by
+// resource type, and how the latency of the slowest assets changes with
+// the load
+function renderResourcesSteps(levels) {
+  if (levels.every((level) => level.resources.requests === 0)) return "";
+  const types = [
+    ...new Set(levels.flatMap((level) => Object.keys(level.resources.byType))),
+  ];
+
+  // Slowest assets over all levels: total latency over total responses
+  const assetTotals = {};
+  for (const level of levels) {
+    for (const asset of Object.values(level.resources.assets)) {
+      const totals = assetTotals[asset.url] || { latency: 0, responses: 0 };
+      totals.latency += asset.totalLatency;
+      totals.responses += asset.responses;
+      assetTotals[asset.url] = totals;
+    }
+  }
+  const slowest = Object.keys(assetTotals)
+    .filter((url) => assetTotals[url].responses > 0)
+    .sort(
+      (a, b) =>
+        assetTotals[b].latency / assetTotals[b].responses -
+        assetTotals[a].latency / assetTotals[a].responses
+    )
+    .slice(0, TOP_ASSETS);
+  const levelLabels = levels.map(
+    (level, index) => `#${index + 1}: ${level.userCount} Users`
+  );
+
+  return `
+    <h2>Sub-resources by Step</h2>
+    
+    <div class="chart-container">
+      <canvas id="resourcesChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Users</th>
+          <th>Requests</th>
+          <th>Failed</th>
+          <th>Avg Latency</th>
+          <th>p95 Latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${levels
+          .map(
+            (level, index) => `
+        <tr class="${level.passed ? "passed" : "failed"}">
+          <td>${index + 1}</td>
+          <td>${level.userCount}</td>
+          <td>${level.resources.requests}</td>
+          <td>${level.resources.failures}</td>
+          <td>${level.resources.avgLatency}ms</td>
+          <td>${level.resources.p95Latency}ms</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>Slowest Assets by Step (Avg Latency)</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Asset</th>
+          ${levelLabels.map((label) => `<th>${label}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${slowest
+          .map(
+            (url) => `
+        <tr>
+          <td class="path">${escapeHtml(url)}</td>
+          ${levels
+            .map((level) => {
+              const asset = level.resources.assets[url];
+              return asset && asset.responses > 0
+                ? `<td>${asset.avgLatency}ms</td>`
+                : "<td>-</td>";
+            })
+            .join("")}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <script>
+      new Chart(document.getElementById('resourcesChart').getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: ${JSON.stringify(levelLabels)},
+          datasets: ${JSON.stringify(
+            types.map((type) => ({
+              label: `${type} p95 Latency (ms)`,
+              data: levels.map((level) =>
+                level.resources.byType[type]
+                  ? level.resources.byType[type].p95Latency
+                  : null
+              ),
+              tension: 0.1,
+            }))
+          )}
+        },
+        options: {
+          responsive: true,
+          interaction: { mode: 'index', intersect: false },
+          scales: { y: { min: 0, title: { display: true, text: 'ms' } } }
+        }
+      });
+    </script>
+  `;
+}
+
+// Share of the responses with a CDN cache header that were hits, or "-"
+// when none had one
+function formatCdnHitRatio(cdnCache) {
+  const withHeader = Object.keys(cdnCache)
+    .filter((status) => status !== "none")
+    .reduce((sum, status) => sum + cdnCache[status], 0);
+  if (withHeader === 0) return "-";
+  return `${Math.round(((cdnCache.HIT || 0) / withHeader) * 100)}%`;
+}
+
+// Bytes per visit and the load generator's bandwidth at each load level
+function renderTransferSteps(levels) {
+  if (levels.every((level) => level.transfer.visits === 0)) return "";
+
+  return `
+    <h2>Transfer Size by Step</h2>
+    
+    <div class="chart-container">
+      <canvas id="transferChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Users</th>
+          <th>Visits</th>
+          <th>Avg Transferred</th>
+          <th>Avg Decoded</th>
+          <th>Total Transferred</th>
+          <th>Bandwidth</th>
+          <th>CDN Hit Ratio</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${levels
+          .map(
+            (level, index) => `
+        <tr class="${level.passed ? "passed" : "failed"}">
+          <td>${index + 1}</td>
+          <td>${level.userCount}</td>
+          <td>${level.transfer.visits}</td>
+          <td>${formatBytes(level.transfer.avgTransferred)}</td>
+          <td>${formatBytes(level.transfer.avgDecoded)}</td>
+          <td>${formatBytes(level.transfer.transferred)}</td>
+          <td>${formatBandwidth(level.transfer.bytesPerSecond)}</td>
+          <td>${formatCdnHitRatio(level.transfer.cdnCache)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <p>Bandwidth is what the load generator received over the runs of a level; a flat line while users grow points at its network link.</p>
+    
+    <script>
+      new Chart(document.getElementById('transferChart').getContext('2d'), {
+        type: 'line',
+        data: {
+          labels: ${JSON.stringify(
+            levels.map(
+              (level, index) => `#${index + 1}: ${level.userCount} Users`
+            )
+          )},
+          datasets: [{
+            label: 'Bandwidth (Mbit/s)',
+            data: ${JSON.stringify(
+              levels.map(
+                (level) =>
+                  Math.round((level.transfer.bytesPerSecond * 8) / 1e4) / 100
+              )
+            )},
+            tension: 0.1
+          }]
+        },
+        options: {
+          responsive: true,
+          scales: { y: { min: 0, title: { display: true, text: 'Mbit/s' } } }
+        }
+      });
+    </script>
+  `;
+}
+
+// Render the final capacity report from the results of a capacity run
+function renderCapacityReport(capacityResults, config) {
+  const {
+    levels,
+    maxCapacity,
+    peakCapacity,
+    lastSuccessfulLevel,
+    maxRequestedUsers,
+    durationSeconds: totalDuration,
+  } = capacityResults;
+
+  const { steps } = capacityResults;
+  // Not maxCapacity > 0: a passing level's average concurrency can round to 0
+  const foundCapacity = lastSuccessfulLevel !== null;
+  const repeated = config.repeats > 1;
+  const byPercentile = config.responsePercentile !== null;
+  const responseLabel = byPercentile
+    ? `${getStatLabel(config.responsePercentile)} Response Time`
+    : "Avg Response Time";
+  const thresholdMetric = byPercentile
+    ? `${getStatLabel(config.responsePercentile)} response time`
+    : "average response time";
+
+  // Create capacity summary from all load levels, averaged over their runs
+  const capacityData = levels.map((level, index) => ({
+    probe: index + 1,
+    phase: PHASE_LABELS[level.phase],
+    users: level.userCount,
+    runs: level.runs,
+    concurrencyLimit: level.concurrency.limit,
+    avgConcurrency: level.concurrency.average.mean,
+    peakConcurrency: level.concurrency.peak.mean,
+    successRate: level.successRate.mean,
+    successRateText: formatSummary(level.successRate, "%"),
+    avgResponseTimeText: formatSummary(level.avgResponseTime, "ms"),
+    responseTime: level.responseTime.mean,
+    responseTimeText: formatSummary(level.responseTime, "ms"),
+    percentilesText: formatPercentiles(level.percentiles),
+    requestsPerSecond: level.requestsPerSecond.mean,
+    passed: level.passed,
+  }));
+  const cappedSteps = capacityData.filter(
+    (data) => data.users > data.concurrencyLimit
+  );
+
+  const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Website Capacity Report</title>
+  <style>
+    body {
+      font-family: 'Segoe UI', Arial, sans-serif;
+      margin: 0;
+      padding: 20px;
+      background-color: #f5f5f5;
+      color: #333;
+    }
+    h1, h2, h3 {
+      color: #2c3e50;
+    }
+    h1 {
+      text-align: center;
+      margin-bottom: 30px;
+      color: #3498db;
+    }
+    h2 {
+      margin-top: 30px;
+      padding-bottom: 10px;
+      border-bottom: 2px solid #eee;
+    }
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      background-color: #fff;
+      border-radius: 10px;
+      padding: 30px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1);
+    }
+    .capacity-result {
+      text-align: center;
+      padding: 30px;
+      margin: 30px 0;
+      background-color: ${foundCapacity ? "#d4edda" : "#f8d7da"};
+      border-radius: 10px;
+      box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+    }
+    .capacity-number {
+      font-size: 5em;
+      font-weight: bold;
+      color: ${foundCapacity ? "#28a745" : "#dc3545"};
+      margin: 10px 0;
+    }
+    .capacity-label {
+      font-size: 1.2em;
+      color: #555;
+      max-width: 600px;
+      margin: 0 auto;
+    }
+    .steps-summary {
+      margin: 30px 0;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 20px;
+      margin-bottom: 30px;
+    }
+    th, td {
+      padding: 12px 15px;
+      text-align: left;
+      border-bottom: 1px solid #e9ecef;
+    }
+    th {
+      background-color: #f8f9fa;
+      font-weight: bold;
+      color: #495057;
+    }
+    tr:hover {
+      background-color: #f9f9f9;
+    }
+    tr.passed {
+      background-color: rgba(40, 167, 69, 0.1);
+    }
+    tr.failed {
+      background-color: rgba(220, 53, 69, 0.1);
+    }
+    .threshold-info {
+      padding: 15px;
+      border-radius: 8px;
+      margin-bottom: 25px;
+      background-color: #e9ecef;
+    }
+    .threshold-title {
+      font-weight: bold;
+      margin-bottom: 10px;
+    }
+    .threshold-item {
+      margin: 8px 0;
+    }
+    .chart-container {
+      height: 400px;
+      margin: 30px 0;
+    }
+    canvas {
+      width: 100%;
+      height: 100%;
+    }
+    .test-info {
+      background-color: #edf7ff;
+      border-radius: 8px;
+      padding: 15px;
+      margin-bottom: 25px;
+    }
+    .test-info-header {
+      font-size: 1.2em;
+      font-weight: bold;
+      margin-bottom: 10px;
+      color: #2980b9;
+    }
+    .conclusion {
+      padding: 20px;
+      background-color: #f8f9fa;
+      border-radius: 8px;
+      margin-top: 30px;
+    }
+    .path {
+      font-family: monospace;
+      color: #0366d6;
+    }
+    details {
+      margin: 10px 0;
+    }
+    summary {
+      cursor: pointer;
+      padding: 8px;
+      background-color: #f8f9fa;
+      border-radius: 5px;
+    }
+    .conclusion-title {
+      font-weight: bold;
+      margin-bottom: 10px;
+      font-size: 1.1em;
+    }
+  </style>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+</head>
+<body>
+  <div class="container">
+    <h1>Website Capacity Report</h1>
+    
+    <div class="test-info">
+      <div class="test-info-header">Test Information</div>
+      <p><strong>Test Start:</strong> ${new Date(
+        steps[0].startTime
+      ).toLocaleString()}</p>
+      <p><strong>Test Completion:</strong> ${new Date(
+        steps[steps.length - 1].endTime
+      ).toLocaleString()}</p>
+      <p><strong>Total Duration:</strong> ${formatDuration(totalDuration)}</p>
+      <p><strong>Steps Tested:</strong> ${levels.length}${
+    repeated ? ` (${config.repeats} runs each)` : ""
+  }</p>
+      <p><strong>Search:</strong> ${describeSearch(config)}</p>
+      <p><strong>User Range:</strong> ${config.minUsers} to ${Math.max(
+    ...steps.map((step) => step.userCount)
+  )} users</p>
+    </div>
+    
+    <div class="threshold-info">
+      <div class="threshold-title">Capacity Thresholds</div>
+      <div class="threshold-item"><strong>Success Rate:</strong> ${
+        config.successThreshold
+      }% or higher</div>
+      <div class="threshold-item"><strong>${responseLabel}:</strong> ${
+    config.responseThreshold
+  }ms or lower</div>
+      ${
+        repeated
+          ? `<div class="threshold-item"><strong>Confidence:</strong> a step passes if the thresholds hold across the ${config.confidence}% confidence interval of its ${config.repeats} runs</div>`
+          : ""
+      }
+    </div>
+    
+    <div class="capacity-result">
+      <h2 style="margin-top: 0; border-bottom: none;">Maximum Supported Concurrency</h2>
+      <div class="capacity-number">${foundCapacity ? maxCapacity : "N/A"}</div>
+      <div class="capacity-label">
+        ${
+          foundCapacity
+            ? `The website can reliably serve ${maxCapacity} concurrent sessions on average (${peakCapacity} at peak, with ${maxRequestedUsers} users requested) while maintaining a ${config.successThreshold}% success rate and ${thresholdMetric} under ${config.responseThreshold}ms.`
+            : `The website could not support even ${config.minUsers} concurrent users at acceptable performance levels.`
+        }
+      </div>
+    </div>
+    
+    <div class="chart-container">
+      <canvas id="performanceChart"></canvas>
+    </div>
+    
+    <h2>Test Steps Summary</h2>
+    
+    <div class="steps-summary">
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Phase</th>
+            <th>Requested Users</th>
+            ${repeated ? "<th>Runs</th>" : ""}
+            <th>Concurrency Limit</th>
+            <th>Avg / Peak In Flight</th>
+            <th>Success Rate</th>
+            <th>Avg Response Time</th>
+            ${byPercentile ? `<th>${responseLabel}</th>` : ""}
+            <th>${PERCENTILES_HEADING}</th>
+            <th>Requests/Second</th>
+            <th>Status</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${capacityData
+            .map(
+              (data) => `
+            <tr class="${data.passed ? "passed" : "failed"}">
+              <td>${data.probe}</td>
+              <td>${data.phase}</td>
+              <td>${data.users}</td>
+              ${repeated ? `<td>${data.runs}</td>` : ""}
+              <td>${data.concurrencyLimit}</td>
+              <td>${data.avgConcurrency} / ${data.peakConcurrency}</td>
+              <td>${data.successRateText}</td>
+              <td>${data.avgResponseTimeText}</td>
+              ${byPercentile ? `<td>${data.responseTimeText}</td>` : ""}
+              <td>${data.percentilesText}</td>
+              <td>${data.requestsPerSecond}</td>
+              <td>${data.passed ? "✅ PASSED" : "❌ FAILED"}</td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+      ${
+        cappedSteps.length > 0
+          ? `<p>The concurrency limit kept ${cappedSteps.length} of ${levels.length} steps from running all their users at once, so those steps measured no more than ${cappedSteps[0].concurrencyLimit} sessions in flight. Raise the concurrency limit to test higher concurrency.</p>`
+          : ""
+      }
+    </div>
+    
+    <div class="conclusion">
+      <div class="conclusion-title">Conclusion</div>
+      <p>
+        ${
+          foundCapacity
+            ? `Based on the test results, the website demonstrates stable performance with up to <strong>${maxCapacity}</strong> sessions in flight on average. 
+             At this load level, the success rate is maintained above ${config.successThreshold}% and the ${thresholdMetric} stays below ${config.responseThreshold}ms.
+             Attempting to serve more than ${maxRequestedUsers} users results in degraded performance that falls below acceptable thresholds.`
+            : `The website could not maintain acceptable performance even at the minimum test level of ${config.minUsers} concurrent users. 
+             This suggests significant performance issues that should be addressed before the site is deployed for production use.`
+        }
+      </p>
+      <p>For detailed results at each load level, please refer to the individual step reports in the same directory.</p>
+    </div>
+    ${renderVitalsSteps(levels)}
+    ${renderNavigationTimingSteps(levels)}
+    ${renderResourcesSteps(levels)}
+    ${renderTransferSteps(levels)}
+    ${renderBreakdownSteps("Steps by Browser Engine", steps, "engineMetrics")}
+    ${renderBreakdownSteps("Steps by Device", steps, "deviceMetrics")}
+    ${renderBreakdownSteps("Steps by Network Profile", steps, "networkMetrics")}
+    ${renderLocaleComparison(capacityResults.localeMetrics)}
+    ${renderTrafficMix(capacityResults.trafficMix)}
+    ${renderDiscoveredUrls(capacityResults.discoveredUrls)}
+    
+    <div style="margin-top: 20px; text-align: center; color: #777; font-size: 12px;">
+      <p>System: ${getSystemInfo()}</p>
+      <p>Generated on ${new Date().toLocaleString()}</p>
+    </div>
+  </div>
+  
+  <script>
+    // Create performance chart
+    const ctx = document.getElementById('performanceChart').getContext('2d');
+    const data = ${JSON.stringify(capacityData)};
+    
+    const maxUserCount = ${config.maxUsers};
+    const responseTimeThreshold = ${config.responseThreshold};
+    const successRateThreshold = ${config.successThreshold};
+    
+    const chart = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: data.map(item => '#' + item.probe + ': ' + item.users + ' Users'),
+        datasets: [
+          {
+            label: 'Success Rate (%)',
+            data: data.map(item => item.successRate),
+            borderColor: 'rgba(40, 167, 69, 1)',
+            backgroundColor: 'rgba(40, 167, 69, 0.1)',
+            yAxisID: 'y',
+            tension: 0.1
+          },
+          {
+            label: '${responseLabel} (ms)',
+            data: data.map(item => item.responseTime),
+            borderColor: 'rgba(0, 123, 255, 1)',
+            backgroundColor: 'rgba(0, 123, 255, 0.1)',
+            yAxisID: 'y1',
+            tension: 0.1
+          }
+        ]
+      },
+      options: {
+        responsive: true,
+        interaction: {
+          mode: 'index',
+          intersect: false,
+        },
+        scales: {
+          y: {
+            type: 'linear',
+            display: true,
+            position: 'left',
+            title: {
+              display: true,
+              text: 'Success Rate (%)'
+            },
+            min: 0,
+            max: 100,
+            grid: {
+              color: 'rgba(0, 0, 0, 0.05)'
+            }
+          },
+          y1: {
+            type: 'linear',
+            display: true,
+            position: 'right',
+            title: {
+              display: true,
+              text: '${responseLabel} (ms)'
+            },
+            min: 0,
+            grid: {
+              drawOnChartArea: false
+            }
+          }
+        },
+        plugins: {
+          tooltip: {
+            callbacks: {
+              footer: function(tooltipItems) {
+                const item = tooltipItems[0];
+                const dataIndex = item.dataIndex;
+                const users = data[dataIndex].users;
+                const lines = [data[dataIndex].phase + ' - Status: ' + (data[dataIndex].passed ? 'PASSED' : 'FAILED')];
+                if (data[dataIndex].runs > 1) {
+                  lines.push('Success Rate: ' + data[dataIndex].successRateText);
+                  lines.push('${responseLabel}: ' + data[dataIndex].responseTimeText);
+                }
+                return lines;
+              }
+            }
+          },
+          annotation: {
+            annotations: {
+              successThreshold: {
+                type: 'line',
+                yMin: successRateThreshold,
+                yMax: successRateThreshold,
+                borderColor: 'rgba(40, 167, 69, 0.5)',
+                borderWidth: 2,
+                borderDash: [6, 6],
+                label: {
+                  enabled: true,
+                  content: 'Success Threshold: ' + successRateThreshold + '%',
+                  position: 'end',
+                  backgroundColor: 'rgba(40, 167, 69, 0.7)'
+                }
+              },
+              responseThreshold: {
+                type: 'line',
+                yMin: responseTimeThreshold,
+                yMax: responseTimeThreshold,
+                scaleID: 'y1',
+                borderColor: 'rgba(220, 53, 69, 0.5)',
+                borderWidth: 2,
+                borderDash: [6, 6],
+                label: {
+                  enabled: true,
+                  content: 'Response Time Threshold: ' + responseTimeThreshold + 'ms',
+                  position: 'end',
+                  backgroundColor: 'rgba(220, 53, 69, 0.7)'
+                }
+              }
+            }
+          }
+        }
+      }
+    });
+  </script>
+</body>
+</html>
+  `;
+
+  return html;
+}
+
+module.exports = { renderCapacityReport };
@@ -0,0 +1,96 @@
+// lib/reports/helpers.js
+const os = require("os");
+const { REPORT_PERCENTILES } = require("../histogram");
+
+// Heading of a column of response time percentiles and the maximum
+const PERCENTILES_HEADING = [
+  ...REPORT_PERCENTILES.map((percentile) => `p${percentile}`),
+  "Max",
+].join(" / ");
+
+// Helper function to get human-readable path name
+function getReadablePath(path) {
+  if (path === "/" || path === "") return "Home";
+
+  // Remove leading slash and replace other slashes with spaces
+  let readable = path.replace(/^\//, "").replace(/\//g, " / ");
+
+  // Capitalize first letter of each word
+  readable = readable.replace(/\b\w/g, (match) => match.toUpperCase());
+
+  return readable;
+}
+
+// Escape text for safe inclusion in report HTML
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Format seconds as "Xm Ys"
+function formatDuration(seconds) {
+  return `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s`;
+}
+
+// One-line description of the load generator machine
+function getSystemInfo() {
+  return `${os.type()} ${os.release()}, ${os.cpus().length} CPUs, ${Math.round(
+    os.totalmem() / (1024 * 1024 * 1024)
+  )}GB RAM`;
+}
+
+// Format a measurement summarized over repeated runs as "mean ±stdDev
+// (CI low–high)", or just the mean when there was a single run
+function formatSummary(summary, unit = "") {
+  if (summary.stdDev === null) return `${summary.mean}${unit}`;
+  return `${summary.mean}${unit} ±${summary.stdDev} (CI ${summary.low}–${summary.high})`;
+}
+
+// Format a byte count with a binary unit, e.g. "1.5 MB"
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return unit === 0 ? `${value} B` : `${value.toFixed(1)} ${units[unit]}`;
+}
+
+// Format a transfer rate in bytes per second as megabits per second
+function formatBandwidth(bytesPerSecond) {
+  return `${((bytesPerSecond * 8) / 1e6).toFixed(2)} Mbit/s`;
+}
+
+// Format response time percentiles and the maximum to match
+// PERCENTILES_HEADING, e.g. "120 / 150 / 180 / 210 / 400 / 950ms"
+function formatPercentiles(percentiles) {
+  const values = REPORT_PERCENTILES.map(
+    (percentile) => percentiles[`p${percentile}`]
+  );
+  return `${[...values, percentiles.max].join(" / ")}ms`;
+}
+
+// CSS class for a success rate
+function getSuccessClass(successRate) {
+  if (successRate < 70) return "low";
+  if (successRate < 90) return "medium";
+  return "high";
+}
+
+module.exports = {
+  getReadablePath,
+  escapeHtml,
+  formatDuration,
+  getSystemInfo,
+  formatSummary,
+  formatBytes,
+  formatBandwidth,
+  PERCENTILES_HEADING,
+  formatPercentiles,
+  getSuccessClass,
+};
@@ -0,0 +1,639 @@
+// lib/reports/run-report.js
+const {
+  escapeHtml,
+  getReadablePath,
+  formatDuration,
+  getSystemInfo,
+  getSuccessClass,
+  PERCENTILES_HEADING,
+  formatPercentiles,
+} = require("./helpers");
+const {
+  renderDiscoveredUrls,
+  renderTrafficMix,
+  renderJourneyTables,
+  renderLocaleComparison,
+  renderBreakdown,
+  renderStageTimeline,
+  renderArrivals,
+  renderThinkTime,
+  renderConcurrency,
+  renderWebVitals,
+  renderNavigationTiming,
+  renderResources,
+  renderTransfer,
+} = require("./sections");
+const {
+  REPORT_PERCENTILES,
+  getPercentile,
+  getStatLabel,
+} = require("../histogram");
+
+const STYLES = `
+    body {
+      font-family: 'Segoe UI', Arial, sans-serif;
+      margin: 0;
+      padding: 20px;
+      background-color: #f5f5f5;
+      color: #333;
+    }
+    h1, h2, h3 {
+      color: #2c3e50;
+    }
+    h1 {
+      text-align: center;
+      margin-bottom: 30px;
+      color: #3498db;
+    }
+    h2 {
+      margin-top: 30px;
+      padding-bottom: 10px;
+      border-bottom: 2px solid #eee;
+    }
+    h3 {
+      margin-top: 20px;
+      font-size: 1.1em;
+      color: #555;
+    }
+    .container {
+      max-width: 1200px;
+      margin: 0 auto;
+      background-color: #fff;
+      border-radius: 10px;
+      padding: 30px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1);
+    }
+    .summary {
+      display: flex;
+      flex-wrap: wrap;
+      justify-content: space-around;
+      gap: 20px;
+      margin: 30px 0;
+    }
+    .metric-card {
+      background-color: #f8f9fa;
+      border-radius: 8px;
+      padding: 20px;
+      min-width: 200px;
+      text-align: center;
+      box-shadow: 0 2px 5px rgba(0,0,0,0.05);
+    }
+    .metric-value {
+      font-size: 2em;
+      font-weight: bold;
+      color: #3498db;
+      margin: 10px 0;
+    }
+    .metric-label {
+      font-size: 0.9em;
+      color: #7f8c8d;
+    }
+    .chart-container {
+      margin: 30px 0;
+      height: 300px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-top: 20px;
+      margin-bottom: 30px;
+    }
+    th, td {
+      padding: 12px 15px;
+      text-align: left;
+      border-bottom: 1px solid #e9ecef;
+    }
+    th {
+      background-color: #f8f9fa;
+      font-weight: bold;
+      color: #495057;
+    }
+    tr:hover {
+      background-color: #f9f9f9;
+    }
+    .success-rate {
+      font-weight: bold;
+    }
+    .high {
+      color: #27ae60;
+    }
+    .medium {
+      color: #f39c12;
+    }
+    .low {
+      color: #e74c3c;
+    }
+    .domain-section {
+      padding: 15px;
+      background-color: #f8f9fa;
+      border-radius: 5px;
+      margin-bottom: 20px;
+      border-left: 5px solid #3498db;
+    }
+    .path {
+      font-family: monospace;
+      color: #0366d6;
+    }
+    .domain {
+      font-weight: bold;
+    }
+    .response-time-bars {
+      display: flex;
+      margin: 20px 0;
+      height: 250px;
+      align-items: flex-end;
+    }
+    .bar-container {
+      flex: 1;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      margin: 0 5px;
+    }
+    .bar {
+      width: 50px;
+      background-color: #3498db;
+      transition: height 0.3s;
+      border-radius: 5px 5px 0 0;
+      display: flex;
+      justify-content: center;
+      align-items: flex-start;
+      color: white;
+      font-weight: bold;
+      padding-top: 5px;
+    }
+    .bar-label {
+      margin-top: 10px;
+      text-align: center;
+      font-size: 0.9em;
+      font-weight: 500;
+      color: #636e72;
+    }
+    .bar-value {
+      margin-top: 5px;
+      color: #2d3436;
+      font-weight: bold;
+    }
+    .test-info {
+      background-color: #edf7ff;
+      border-radius: 8px;
+      padding: 15px;
+      margin-bottom: 25px;
+    }
+    .test-info-header {
+      font-size: 1.2em;
+      font-weight: bold;
+      margin-bottom: 10px;
+      color: #2980b9;
+    }
+    .test-stats {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 15px;
+    }
+    .test-stat {
+      flex: 1;
+      min-width: 180px;
+    }
+    .test-stat-label {
+      font-size: 0.85em;
+      color: #7f8c8d;
+    }
+    .test-stat-value {
+      font-size: 1.1em;
+      font-weight: 500;
+      color: #2c3e50;
+    }
+    .error-detail {
+      padding: 10px;
+      margin: 10px 0;
+      background-color: #fff;
+      border-radius: 5px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+    }
+    .error-type {
+      font-weight: bold;
+      color: #e74c3c;
+    }
+    .error-count {
+      font-weight: bold;
+      color: #7f8c8d;
+    }
+    .error-message {
+      margin-top: 5px;
+      font-family: monospace;
+      font-size: 0.9em;
+      color: #34495e;
+      padding: 5px;
+      background-color: #f8f9fa;
+      border-radius: 3px;
+      white-space: pre-wrap;
+      word-break: break-word;
+    }
+    .error-url {
+      font-size: 0.85em;
+      color: #3498db;
+      margin-bottom: 5px;
+    }
+    .status-chart {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 10px;
+      margin: 20px 0;
+    }
+    .status-item {
+      padding: 10px 15px;
+      background-color: #f8f9fa;
+      border-radius: 5px;
+      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+    }
+    .status-code {
+      font-size: 1.5em;
+      font-weight: bold;
+    }
+    .status-count {
+      margin-top: 5px;
+      color: #7f8c8d;
+    }
+    .code-2xx { color: #27ae60; }
+    .code-3xx { color: #2980b9; }
+    .code-4xx { color: #f39c12; }
+    .code-5xx { color: #e74c3c; }
+    .threshold-status {
+      padding: 15px;
+      border-radius: 8px;
+      margin-top: 30px;
+      margin-bottom: 30px;
+      text-align: center;
+    }
+    .threshold-passed {
+      background-color: #d4edda;
+      border: 1px solid #c3e6cb;
+      color: #155724;
+    }
+    .threshold-failed {
+      background-color: #f8d7da;
+      border: 1px solid #f5c6cb;
+      color: #721c24;
+    }
+    details {
+      margin: 10px 0;
+    }
+    summary {
+      cursor: pointer;
+      padding: 8px;
+      background-color: #f8f9fa;
+      border-radius: 5px;
+    }
+    summary:hover {
+      background-color: #e9ecef;
+    }
+    @media (max-width: 768px) {
+      .metric-card {
+        min-width: 120px;
+      }
+      table {
+        font-size: 14px;
+      }
+      th, td {
+        padding: 8px 10px;
+      }
+    }
+`;
+
+// Group path metrics by domain, busiest paths first
+function groupPathMetrics(results) {
+  const pathMetrics = [];
+  for (const pathKey in results.pathMetrics) {
+    const metric = results.pathMetrics[pathKey];
+    pathMetrics.push({
+      ...metric,
+      pathKey,
+      hasErrors: results.errorsByPath[pathKey] ? true : false,
+    });
+  }
+
+  // Sort paths by request count (descending)
+  pathMetrics.sort((a, b) => b.requests - a.requests);
+
+  const domainGroups = {};
+  pathMetrics.forEach((metric) => {
+    if (!domainGroups[metric.domain]) {
+      domainGroups[metric.domain] = [];
+    }
+    domainGroups[metric.domain].push(metric);
+  });
+
+  return domainGroups;
+}
+
+function renderThresholdCheck(results, thresholds) {
+  const byPercentile = thresholds.responsePercentile !== null;
+  const responseTime = byPercentile
+    ? getPercentile(
+        results.responseTimeHistogram,
+        thresholds.responsePercentile
+      )
+    : results.avgResponseTime;
+  const successPassed = results.successRate >= thresholds.successRate;
+  const responsePassed = responseTime <= thresholds.responseTime;
+  const passed = successPassed && responsePassed;
+
+  return `
+    <div class="threshold-status ${
+      passed ? "threshold-passed" : "threshold-failed"
+    }">
+      <h2 style="margin-top: 0; border-bottom: none;">Threshold Check</h2>
+      <p>
+        <strong>Success Rate:</strong> ${results.successRate}% 
+        ${successPassed ? "✅" : "❌"} (Threshold: ${thresholds.successRate}%)
+      </p>
+      <p>
+        <strong>${
+          byPercentile
+            ? `${getStatLabel(thresholds.responsePercentile)} Response Time`
+            : "Response Time"
+        }:</strong> ${responseTime}ms 
+        ${responsePassed ? "✅" : "❌"} (Threshold: ${
+    thresholds.responseTime
+  }ms)
+      </p>
+      <p>
+        <strong>Result:</strong> ${
+          passed
+            ? "PASSED - This load level is acceptable"
+            : "FAILED - This load level exceeds website capacity"
+        }
+      </p>
+    </div>
+    `;
+}
+
+function renderBrowserPool(browserPool) {
+  if (!browserPool) return "-";
+  const relaunched =
+    browserPool.crashes > 0 ? `, ${browserPool.crashes} crashed` : "";
+  return `${browserPool.instances} <small>(${browserPool.launches} launched${relaunched}, max ${browserPool.size} per engine)</small>`;
+}
+
+function renderResponseTimeBars(results) {
+  return Object.entries(results.responseTimeBuckets)
+    .map(([label, count]) => {
+      const percentage =
+        results.successfulRequests > 0
+          ? Math.round((count / results.successfulRequests) * 100)
+          : 0;
+      const height = Math.max(percentage * 2, 5); // Make sure bar has at least 5px height if not 0
+      return `
+          <div class="bar-container">
+            <div class="bar" style="height: ${height}px;">${
+        percentage > 10 ? percentage + "%" : ""
+      }</div>
+            <div class="bar-label">${label}</div>
+            <div class="bar-value">${count}</div>
+          </div>
+        `;
+    })
+    .join("");
+}
+
+function renderPercentiles(percentiles) {
+  return `
+    <table>
+      <thead>
+        <tr>
+          ${REPORT_PERCENTILES.map(
+            (percentile) => `<th>p${percentile}</th>`
+          ).join("")}
+          <th>Max</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          ${REPORT_PERCENTILES.map(
+            (percentile) => `<td>${percentiles[`p${percentile}`]}ms</td>`
+          ).join("")}
+          <td>${percentiles.max}ms</td>
+        </tr>
+      </tbody>
+    </table>
+  `;
+}
+
+// Links to the request waterfalls saved for a path, labelled by status
+function renderWaterfallLinks(waterfalls) {
+  if (!waterfalls || waterfalls.length === 0) return "-";
+  return waterfalls
+    .map(
+      (waterfall) =>
+        `<a href="${escapeHtml(waterfall.href)}">${
+          waterfall.statusCode || "No response"
+        }</a>`
+    )
+    .join(" ");
+}
+
+function renderPathTables(results) {
+  const domainGroups = groupPathMetrics(results);
+
+  return Object.keys(domainGroups)
+    .map((domain) => {
+      const domainMetrics = domainGroups[domain];
+
+      return `
+        <div class="domain-section">
+          <h3 class="domain">${escapeHtml(domain)}</h3>
+          
+          <table>
+            <thead>
+              <tr>
+                <th>Path</th>
+                <th>Requests</th>
+                <th>Success Rate</th>
+                <th>Avg Response Time</th>
+                <th>${PERCENTILES_HEADING}</th>
+                <th>Waterfalls</th>
+                <th>Errors</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${domainMetrics
+                .map((metric) => {
+                  const errors = results.errorsByPath[metric.pathKey];
+
+                  return `
+                  <tr>
+                    <td class="path">${escapeHtml(
+                      getReadablePath(metric.path)
+                    )}</td>
+                    <td>${metric.requests}</td>
+                    <td class="success-rate ${getSuccessClass(
+                      metric.successRate
+                    )}">${metric.successRate}%</td>
+                    <td>${metric.avgResponseTime}ms</td>
+                    <td>${formatPercentiles(metric.percentiles)}</td>
+                    <td>${renderWaterfallLinks(metric.waterfalls)}</td>
+                    <td>
+                      ${
+                        metric.hasErrors && errors
+                          ? `
+                        <details>
+                          <summary>View Errors</summary>
+                          ${errors
+                            .map(
+                              (error) => `
+                            <div class="error-message">${escapeHtml(
+                              error.errorType
+                            )}: ${escapeHtml(error.errorMessage)}</div>
+                          `
+                            )
+                            .join("")}
+                        </details>
+                      `
+                          : "None"
+                      }
+                    </td>
+                  </tr>
+                `;
+                })
+                .join("")}
+            </tbody>
+          </table>
+        </div>
+      `;
+    })
+    .join("");
+}
+
+// Render the HTML report for a stress run or a single capacity step.
+// Pass thresholds to include the pass/fail check used by capacity steps.
+function renderRunReport(results, { title, heading, usersLabel, thresholds }) {
+  const testDurationSeconds = (results.endTime - results.startTime) / 1000;
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title}</title>
+  <style>${STYLES}  </style>
+  <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+  <script src="https://cdn.jsdelivr.net/npm/chartjs-plugin-annotation"></script>
+</head>
+<body>
+  <div class="container">
+    <h1>${heading}</h1>
+    
+    <div class="test-info">
+      <div class="test-info-header">Test Configuration</div>
+      <div class="test-stats">
+        <div class="test-stat">
+          <div class="test-stat-label">${usersLabel}</div>
+          <div class="test-stat-value">${results.userCount}</div>
+        </div>
+        <div class="test-stat">
+          <div class="test-stat-label">URLs Tested</div>
+          <div class="test-stat-value">${
+            Object.keys(results.pathMetrics).length
+          }</div>
+        </div>
+        <div class="test-stat">
+          <div class="test-stat-label">Browser Instances</div>
+          <div class="test-stat-value">${renderBrowserPool(
+            results.browserPool
+          )}</div>
+        </div>
+        <div class="test-stat">
+          <div class="test-stat-label">Test Duration</div>
+          <div class="test-stat-value">${formatDuration(
+            testDurationSeconds
+          )}</div>
+        </div>
+        <div class="test-stat">
+          <div class="test-stat-label">Completion Time</div>
+          <div class="test-stat-value">${new Date(
+            results.endTime
+          ).toLocaleString()}</div>
+        </div>
+      </div>
+    </div>
+    ${thresholds ? renderThresholdCheck(results, thresholds) : ""}
+    <div class="summary">
+      <div class="metric-card">
+        <div class="metric-label">Total Requests</div>
+        <div class="metric-value">${results.totalRequests}</div>
+      </div>
+      <div class="metric-card">
+        <div class="metric-label">Success Rate</div>
+        <div class="metric-value">${results.successRate}%</div>
+      </div>
+      <div class="metric-card">
+        <div class="metric-label">Failed Requests</div>
+        <div class="metric-value">${results.failedRequests}</div>
+      </div>
+      <div class="metric-card">
+        <div class="metric-label">Requests/Second</div>
+        <div class="metric-value">${results.requestsPerSecond}</div>
+      </div>
+      <div class="metric-card">
+        <div class="metric-label">Avg Response Time</div>
+        <div class="metric-value">${results.avgResponseTime}ms</div>
+      </div>
+      <div class="metric-card">
+        <div class="metric-label">p95 Response Time</div>
+        <div class="metric-value">${results.percentiles.p95}ms</div>
+      </div>
+    </div>
+    
+    ${renderConcurrency(results.concurrency)}
+    ${renderStageTimeline(results)}
+    ${renderArrivals(results.arrivals)}
+    
+    <h2>Response Time Distribution</h2>
+    
+    <div class="response-time-bars">
+      ${renderResponseTimeBars(results)}
+    </div>
+    
+    <h3>Percentiles</h3>
+    
+    ${renderPercentiles(results.percentiles)}
+    
+    <h2>Performance by URL</h2>
+    
+    ${renderPathTables(results)}
+    ${renderWebVitals(results)}
+    ${renderNavigationTiming(results)}
+    ${renderResources(results)}
+    ${renderTransfer(results)}
+    ${renderBreakdown(
+      "Performance by Browser Engine",
+      "Engine",
+      results.engineMetrics
+    )}
+    ${renderBreakdown("Performance by Device", "Device", results.deviceMetrics)}
+    ${renderBreakdown(
+      "Performance by Network Profile",
+      "Network",
+      results.networkMetrics
+    )}
+    ${renderThinkTime(results)}
+    ${renderLocaleComparison(results.localeMetrics)}
+    ${renderJourneyTables(results.journeyMetrics)}
+    ${renderTrafficMix(results.trafficMix)}
+    ${renderDiscoveredUrls(results.discoveredUrls)}
+    
+    <div style="margin-top: 20px; text-align: center; color: #777; font-size: 12px;">
+      <p>System: ${getSystemInfo()}</p>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+}
+
+module.exports = { renderRunReport };
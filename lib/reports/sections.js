@@ -0,0 +1,1094 @@
+// lib/reports/sections.js
+const {
+  escapeHtml,
+  formatDuration,
+  formatBytes,
+  formatBandwidth,
+  getReadablePath,
+  getSuccessClass,
+} = require("./helpers");
+const { VITALS, rateVital } = require("../vitals");
+const { NAVIGATION_PHASES } = require("../navigation-timing");
+
+// List of URLs found by sitemap or crawl discovery, collapsed by default
+function renderDiscoveredUrls(discovered) {
+  if (!discovered || discovered.length === 0) return "";
+
+  const sources = [...new Set(discovered.map((entry) => entry.source))];
+
+  return `
+    <h2>Discovered URLs</h2>
+    
+    <details>
+      <summary>${discovered.length} URLs discovered via ${sources.join(
+    ", "
+  )}</summary>
+      <table>
+        <thead>
+          <tr>
+            <th>URL</th>
+            <th>Source</th>
+            <th>Found On</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${discovered
+            .map(
+              (entry) => `
+          <tr>
+            <td class="path">${escapeHtml(entry.url)}</td>
+            <td>${entry.source}${
+                entry.depth !== undefined ? ` (depth ${entry.depth})` : ""
+              }</td>
+            <td class="path">${
+              entry.referrer ? escapeHtml(entry.referrer) : "-"
+            }</td>
+          </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    </details>
+  `;
+}
+
+// Intended vs. actual traffic share per path
+function renderTrafficMix(trafficMix) {
+  if (!trafficMix) return "";
+
+  const rows = Object.values(trafficMix).sort(
+    (a, b) => b.intended - a.intended || b.requests - a.requests
+  );
+
+  return `
+    <h2>Traffic Mix</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Path</th>
+          <th>Intended Share</th>
+          <th>Actual Share</th>
+          <th>Requests</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(
+            (row) => `
+        <tr>
+          <td>${escapeHtml(row.domain)}</td>
+          <td class="path">${escapeHtml(getReadablePath(row.path))}</td>
+          <td>${row.intended}%</td>
+          <td>${row.actual}%</td>
+          <td>${row.requests}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Per-journey success rates with the timing of every step
+function renderJourneyTables(journeyMetrics) {
+  const journeys = Object.values(journeyMetrics || {});
+  if (journeys.length === 0) return "";
+
+  return `
+    <h2>Performance by Journey</h2>
+    
+    ${journeys
+      .map(
+        (journey) => `
+    <div class="domain-section">
+      <h3>${escapeHtml(journey.name)}</h3>
+      <p>
+        <strong>Completed:</strong> ${journey.completed}/${journey.runs}
+        (<span class="success-rate ${getSuccessClass(journey.successRate)}">${
+          journey.successRate
+        }%</span>) &middot;
+        <strong>Avg Duration:</strong> ${journey.avgDuration}ms
+        (${journey.avgThinkTime}ms thinking)
+      </p>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Step</th>
+            <th>Runs</th>
+            <th>Success Rate</th>
+            <th>Avg Time</th>
+            <th>Avg Think Time</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${journey.steps
+            .map(
+              (step, index) => `
+          <tr>
+            <td>${index + 1}</td>
+            <td class="path">${escapeHtml(step.label)}</td>
+            <td>${step.runs}</td>
+            <td class="success-rate ${getSuccessClass(step.successRate)}">${
+                step.successRate
+              }%</td>
+            <td>${step.avgTime}ms</td>
+            <td>${step.avgThinkTime}ms</td>
+          </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+      ${
+        journey.errors.length > 0
+          ? `
+      <details>
+        <summary>${journey.errors.length} error examples</summary>
+        ${journey.errors
+          .map(
+            (error) => `
+        <div class="error-detail">
+          <div class="error-type">${escapeHtml(error.step)}</div>
+          <div class="error-message">${escapeHtml(error.errorMessage)}</div>
+        </div>
+        `
+          )
+          .join("")}
+      </details>
+      `
+          : ""
+      }
+    </div>
+    `
+      )
+      .join("")}
+  `;
+}
+
+// Think time per action next to the response time, to tell the time
+// users spent waiting on the server from the time they spent thinking
+function renderThinkTime(results) {
+  const { thinkTime } = results;
+  if (!thinkTime || thinkTime.count === 0) return "";
+
+  return `
+    <h2>Think Time</h2>
+    
+    <p>
+      <strong>Avg Response Time:</strong> ${results.avgResponseTime}ms &middot;
+      <strong>Avg Think Time:</strong> ${thinkTime.avg}ms &middot;
+      <strong>Total Think Time:</strong> ${formatDuration(
+        thinkTime.total / 1000
+      )}
+    </p>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Action</th>
+          <th>Count</th>
+          <th>Avg Think Time</th>
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${Object.entries(thinkTime.byAction)
+          .map(
+            ([action, metrics]) => `
+        <tr>
+          <td>${escapeHtml(action)}</td>
+          <td>${metrics.count}</td>
+          <td>${metrics.avg}ms</td>
+          <td>${formatDuration(metrics.total / 1000)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Error types of a group as "type (count)", most frequent first
+function formatErrorCounts(errorTypes) {
+  const entries = Object.entries(errorTypes).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) return "-";
+  return entries
+    .map(([errorType, count]) => `${escapeHtml(errorType)} (${count})`)
+    .join(", ");
+}
+
+// Success rate, response time and errors per group of users (engine,
+// device, ...); only shown when there is more than one group
+function renderBreakdown(title, column, breakdownMetrics) {
+  const groups = Object.values(breakdownMetrics || {});
+  if (groups.length < 2) return "";
+
+  return `
+    <h2>${title}</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>${column}</th>
+          <th>Users</th>
+          <th>Requests</th>
+          <th>Success Rate</th>
+          <th>Avg Response Time</th>
+          <th>Errors</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${groups
+          .map(
+            (group) => `
+        <tr>
+          <td class="domain">${escapeHtml(group.name)}</td>
+          <td>${group.users}</td>
+          <td>${group.requests}</td>
+          <td class="success-rate ${getSuccessClass(group.successRate)}">${
+              group.successRate
+            }%</td>
+          <td>${group.avgResponseTime}ms</td>
+          <td>${formatErrorCounts(group.errorTypes)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// The same logical page in each locale side by side: avg response time and
+// success rate per locale, plus the spread between the fastest and slowest
+function renderLocaleComparison(localeMetrics) {
+  const pages = Object.values(localeMetrics || {});
+  if (pages.length === 0) return "";
+
+  const names = [];
+  for (const page of pages) {
+    for (const name in page.locales) {
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  pages.sort(
+    (a, b) => a.domain.localeCompare(b.domain) || a.page.localeCompare(b.page)
+  );
+
+  const renderSpread = (page) => {
+    const times = Object.values(page.locales)
+      .filter((metrics) => metrics.successes > 0)
+      .map((metrics) => metrics.avgResponseTime);
+    if (times.length < 2) return "-";
+    return `${Math.max(...times) - Math.min(...times)}ms`;
+  };
+
+  return `
+    <h2>Performance by Locale</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Page</th>
+          ${names.map((name) => `<th>${escapeHtml(name)}</th>`).join("")}
+          <th>Spread</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${pages
+          .map(
+            (page) => `
+        <tr>
+          <td>${escapeHtml(page.domain)}</td>
+          <td class="path">${escapeHtml(getReadablePath(page.page))}</td>
+          ${names
+            .map((name) => {
+              const metrics = page.locales[name];
+              if (!metrics) return "<td>-</td>";
+              return `<td>${metrics.avgResponseTime}ms
+            (<span class="success-rate ${getSuccessClass(
+              metrics.successRate
+            )}">${metrics.successRate}%</span>, ${metrics.requests} req)</td>`;
+            })
+            .join("")}
+          <td>${renderSpread(page)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Totals of the timeline samples taken during a stage. The last stage also
+// gets the sample of users finishing their visit after the run ended.
+function getStageTotals(timeline, stage, isLast) {
+  const samples = timeline.filter(
+    (point) =>
+      point.time * 1000 > stage.start &&
+      (isLast || point.time * 1000 <= stage.end)
+  );
+  const requests = samples.reduce((sum, point) => sum + point.requests, 0);
+  const failures = samples.reduce((sum, point) => sum + point.failures, 0);
+  const responseTime = samples.reduce(
+    (sum, point) =>
+      sum + point.avgResponseTime * (point.requests - point.failures),
+    0
+  );
+  return {
+    requests,
+    successRate:
+      requests > 0 ? Math.round(((requests - failures) / requests) * 100) : 0,
+    avgResponseTime:
+      requests > failures
+        ? Math.round(responseTime / (requests - failures))
+        : 0,
+  };
+}
+
+// Users and response time over the run with the stage boundaries marked,
+// plus a table of the stages; only for staged runs
+function renderStageTimeline(results) {
+  if (!results.stages || !results.timeline) return "";
+
+  const boundaries = results.stages.slice(0, -1).map((stage) => ({
+    type: "line",
+    xMin: stage.end / 1000,
+    xMax: stage.end / 1000,
+    borderColor: "rgba(108, 117, 125, 0.6)",
+    borderWidth: 1,
+    borderDash: [4, 4],
+  }));
+  const points = (key) =>
+    results.timeline.map((point) => ({ x: point.time, y: point[key] }));
+
+  return `
+    <h2>Load Stages</h2>
+    
+    <div class="chart-container">
+      <canvas id="timelineChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>Stage</th>
+          <th>Time</th>
+          <th>Users</th>
+          <th>Requests</th>
+          <th>Success Rate</th>
+          <th>Avg Response Time</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${results.stages
+          .map((stage, index) => {
+            const totals = getStageTotals(
+              results.timeline,
+              stage,
+              index === results.stages.length - 1
+            );
+            return `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${escapeHtml(stage.name)}</td>
+          <td>${formatDuration(stage.start / 1000)} - ${formatDuration(
+              stage.end / 1000
+            )}</td>
+          <td>${stage.from} &rarr; ${stage.target}</td>
+          <td>${totals.requests}</td>
+          <td class="success-rate ${getSuccessClass(totals.successRate)}">${
+              totals.successRate
+            }%</td>
+          <td>${totals.avgResponseTime}ms</td>
+        </tr>
+        `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+    
+    <script>
+      new Chart(document.getElementById('timelineChart').getContext('2d'), {
+        type: 'line',
+        data: {
+          datasets: [
+            {
+              label: 'Active Users',
+              data: ${JSON.stringify(points("activeUsers"))},
+              borderColor: 'rgba(52, 152, 219, 1)',
+              backgroundColor: 'rgba(52, 152, 219, 0.1)',
+              yAxisID: 'y',
+              pointRadius: 0
+            },
+            {
+              label: 'Target Users',
+              data: ${JSON.stringify(points("targetUsers"))},
+              borderColor: 'rgba(108, 117, 125, 0.8)',
+              borderDash: [6, 6],
+              yAxisID: 'y',
+              pointRadius: 0
+            },
+            {
+              label: 'Avg Response Time (ms)',
+              data: ${JSON.stringify(points("avgResponseTime"))},
+              borderColor: 'rgba(220, 53, 69, 1)',
+              backgroundColor: 'rgba(220, 53, 69, 0.1)',
+              yAxisID: 'y1',
+              pointRadius: 0
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: {
+              type: 'linear',
+              title: { display: true, text: 'Time (s)' }
+            },
+            y: {
+              position: 'left',
+              min: 0,
+              title: { display: true, text: 'Users' }
+            },
+            y1: {
+              position: 'right',
+              min: 0,
+              title: { display: true, text: 'Response Time (ms)' },
+              grid: { drawOnChartArea: false }
+            }
+          },
+          plugins: {
+            annotation: { annotations: ${JSON.stringify(boundaries)} }
+          }
+        }
+      });
+    </script>
+  `;
+}
+
+// Open-model arrival counts: how many scheduled visitors started, and how
+// many were dropped at the in-flight cap or started late
+function renderArrivals(arrivals) {
+  if (!arrivals) return "";
+
+  const percent = (count) =>
+    arrivals.scheduled > 0
+      ? Math.round((count / arrivals.scheduled) * 1000) / 10
+      : 0;
+
+  return `
+    <h2>Arrivals</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Target Rate</th>
+          <th>Achieved Rate</th>
+          <th>Scheduled</th>
+          <th>Started</th>
+          <th>Dropped</th>
+          <th>Late</th>
+          <th>Peak In Flight</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>${arrivals.rate}/s for ${formatDuration(
+    arrivals.duration / 1000
+  )}</td>
+          <td>${arrivals.achievedRate}/s</td>
+          <td>${arrivals.scheduled}</td>
+          <td>${arrivals.started}</td>
+          <td>${arrivals.dropped} (${percent(arrivals.dropped)}%)</td>
+          <td>${arrivals.late} (${percent(arrivals.late)}%, max ${
+    arrivals.maxLateness
+  }ms behind)</td>
+          <td>${arrivals.peakInFlight} / ${arrivals.maxInFlight}</td>
+        </tr>
+      </tbody>
+    </table>
+    ${
+      arrivals.dropped > 0
+        ? `<p>Arrivals were dropped because ${arrivals.maxInFlight} visitors were already in flight: the server or the load generator could not keep up with the arrival rate.</p>`
+        : ""
+    }
+  `;
+}
+
+// Users asked for against the sessions measured in flight
+function renderConcurrency(concurrency) {
+  if (!concurrency) return "";
+
+  return `
+    <h2>Concurrency</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Requested Users</th>
+          <th>Concurrency Limit</th>
+          <th>Avg In Flight</th>
+          <th>Peak In Flight</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>${
+            concurrency.requested === null ? "-" : concurrency.requested
+          }</td>
+          <td>${concurrency.limit}</td>
+          <td>${concurrency.average}</td>
+          <td>${concurrency.peak}</td>
+        </tr>
+      </tbody>
+    </table>
+    ${
+      concurrency.requested > concurrency.limit
+        ? `<p>At most ${concurrency.limit} of the ${concurrency.requested} requested users ran at once; the others waited their turn. Raise the concurrency limit to put them all in flight.</p>`
+        : ""
+    }
+  `;
+}
+
+// A vital's value with its unit, "-" when it was not measured
+function formatVital(name, value) {
+  if (value === null) return "-";
+  return name === "cls" ? value.toFixed(3) : `${value}${VITALS[name].unit}`;
+}
+
+// Table cell for a vital's p75, coloured by its rating
+function renderVitalCell(name, metrics) {
+  if (metrics.p75 === null) return "<td>-</td>";
+  const ratingClass = {
+    good: "high",
+    "needs-improvement": "medium",
+    poor: "low",
+  }[rateVital(name, metrics.p75)];
+  return `<td class="success-rate ${ratingClass}">${formatVital(
+    name,
+    metrics.p75
+  )}</td>`;
+}
+
+// Web Vitals of the whole run and of every page, rated at the 75th
+// percentile like the Core Web Vitals
+function renderWebVitals(results) {
+  const names = Object.keys(VITALS);
+  if (
+    !results.vitals ||
+    names.every((name) => results.vitals[name].count === 0)
+  ) {
+    return "";
+  }
+  const pages = Object.values(results.vitalsByPath).sort(
+    (a, b) => a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path)
+  );
+
+  return `
+    <h2>Web Vitals</h2>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Metric</th>
+          <th>p75</th>
+          <th>Average</th>
+          <th>Pages Measured</th>
+          <th>Good / Poor Above</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${names
+          .map((name) => {
+            const metrics = results.vitals[name];
+            return `
+        <tr>
+          <td>${VITALS[name].label}</td>
+          ${renderVitalCell(name, metrics)}
+          <td>${formatVital(name, metrics.avg)}</td>
+          <td>${metrics.count}</td>
+          <td>${formatVital(name, VITALS[name].good)} / ${formatVital(
+              name,
+              VITALS[name].poor
+            )}</td>
+        </tr>
+        `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>p75 by Page</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Page</th>
+          ${names.map((name) => `<th>${VITALS[name].label}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        ${pages
+          .map(
+            (page) => `
+        <tr>
+          <td>${escapeHtml(page.domain)}</td>
+          <td class="path">${escapeHtml(getReadablePath(page.path))}</td>
+          ${names
+            .map((name) => renderVitalCell(name, page.vitals[name]))
+            .join("")}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <p>INP needs an interaction (journey clicks and fills); LCP, CLS and TBT are only measured by Chromium.</p>
+  `;
+}
+
+// Sum of a navigation's average phases: the average time to DOMContentLoaded
+function getNavigationTotal(timing) {
+  const total = Object.keys(NAVIGATION_PHASES).reduce(
+    (sum, phase) => sum + timing.avg[phase],
+    0
+  );
+  return Math.round(total * 10) / 10;
+}
+
+// Table row cells for the average phases of a navigation and their total,
+// dashes when nothing was measured
+function renderNavigationCells(timing) {
+  if (timing.count === 0) {
+    return "<td>-</td>".repeat(Object.keys(NAVIGATION_PHASES).length + 1);
+  }
+  return `${Object.keys(NAVIGATION_PHASES)
+    .map((phase) => `<td>${timing.avg[phase]}ms</td>`)
+    .join("")}
+          <td>${getNavigationTotal(timing)}ms</td>`;
+}
+
+// Average Navigation Timing phases of the whole run and of every page as
+// stacked bars, to tell whether the network, the server or the front end
+// takes the time
+function renderNavigationTiming(results) {
+  if (!results.navigationTiming || results.navigationTiming.count === 0) {
+    return "";
+  }
+  const phases = Object.keys(NAVIGATION_PHASES);
+  const pages = Object.values(results.navigationTimingByPath).sort(
+    (a, b) => a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path)
+  );
+  const bars = [
+    { label: "All Pages", timing: results.navigationTiming },
+    ...pages.map((page) => ({
+      label: page.domain.replace(/^https?:\/\//, "") + page.path,
+      timing: page.timing,
+    })),
+  ];
+
+  return `
+    <h2>Navigation Timing</h2>
+    
+    <div class="chart-container" style="height: ${80 + bars.length * 40}px;">
+      <canvas id="navigationTimingChart"></canvas>
+    </div>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Page</th>
+          <th>Visits</th>
+          ${phases
+            .map((phase) => `<th>${NAVIGATION_PHASES[phase].label}</th>`)
+            .join("")}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td colspan="2"><strong>All Pages</strong></td>
+          <td>${results.navigationTiming.count}</td>
+          ${renderNavigationCells(results.navigationTiming)}
+        </tr>
+        ${pages
+          .map(
+            (page) => `
+        <tr>
+          <td>${escapeHtml(page.domain)}</td>
+          <td class="path">${escapeHtml(getReadablePath(page.path))}</td>
+          <td>${page.timing.count}</td>
+          ${renderNavigationCells(page.timing)}
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    <p>Averages over the successful visits, from the first DNS lookup to DOMContentLoaded. TTFB is the wait for the first byte after the request was sent; DOM is the parsing and scripts run before DOMContentLoaded.</p>
+    
+    <script>
+      new Chart(document.getElementById('navigationTimingChart').getContext('2d'), {
+        type: 'bar',
+        data: {
+          labels: ${JSON.stringify(bars.map((bar) => bar.label))},
+          datasets: ${JSON.stringify(
+            phases.map((phase) => ({
+              label: NAVIGATION_PHASES[phase].label,
+              data: bars.map((bar) => bar.timing.avg[phase]),
+            }))
+          )}
+        },
+        options: {
+          indexAxis: 'y',
+          responsive: true,
+          maintainAspectRatio: false,
+          interaction: { mode: 'index', intersect: false },
+          scales: {
+            x: { stacked: true, title: { display: true, text: 'ms' } },
+            y: { stacked: true }
+          }
+        }
+      });
+    </script>
+  `;
+}
+
+// Rows shown in the sub-resource host and asset tables
+const TOP_RESOURCES = 10;
+
+// Sub-resources requested by the visited pages: latency and failures by
+// resource type and host, the slowest assets and the failing ones
+function renderResources(results) {
+  const { resources } = results;
+  if (!resources || resources.requests === 0) return "";
+
+  const types = Object.entries(resources.byType).sort(
+    (a, b) => b[1].requests - a[1].requests
+  );
+  const hosts = Object.values(resources.byHost)
+    .sort((a, b) => b.requests - a.requests)
+    .slice(0, TOP_RESOURCES);
+  const assets = Object.values(resources.assets);
+  const slowest = assets
+    .filter((asset) => asset.responses > 0)
+    .sort((a, b) => b.avgLatency - a.avgLatency)
+    .slice(0, TOP_RESOURCES);
+  const failing = assets
+    .filter((asset) => asset.failures > 0)
+    .sort((a, b) => b.failures - a.failures)
+    .slice(0, TOP_RESOURCES);
+  const thirdParty = Object.values(resources.byHost)
+    .filter((host) => host.thirdParty)
+    .reduce((sum, host) => sum + host.requests, 0);
+
+  return `
+    <h2>Sub-resources</h2>
+    
+    <p>${resources.requests} requests for ${
+    assets.length
+  } assets (${thirdParty} to third-party hosts), ${
+    resources.failures
+  } failed. Latency is the time from sending a request to receiving its response: ${
+    resources.avgLatency
+  }ms on average, ${resources.p95Latency}ms at p95.</p>
+    
+    <h3>By Resource Type</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Type</th>
+          <th>Requests</th>
+          <th>Failed</th>
+          <th>Avg Latency</th>
+          <th>p95 Latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${types
+          .map(
+            ([type, metrics]) => `
+        <tr>
+          <td>${escapeHtml(type)}</td>
+          <td>${metrics.requests}</td>
+          <td>${metrics.failures}</td>
+          <td>${metrics.avgLatency}ms</td>
+          <td>${metrics.p95Latency}ms</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>By Host</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Host</th>
+          <th>Party</th>
+          <th>Requests</th>
+          <th>Failed</th>
+          <th>Avg Latency</th>
+          <th>p95 Latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${hosts
+          .map(
+            (host) => `
+        <tr>
+          <td class="path">${escapeHtml(host.host)}</td>
+          <td>${host.thirdParty ? "Third" : "First"}</td>
+          <td>${host.requests}</td>
+          <td>${host.failures}</td>
+          <td>${host.avgLatency}ms</td>
+          <td>${host.p95Latency}ms</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>Slowest Assets</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Asset</th>
+          <th>Type</th>
+          <th>Requests</th>
+          <th>Avg Latency</th>
+          <th>p95 Latency</th>
+          <th>Max Latency</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${slowest
+          .map(
+            (asset) => `
+        <tr>
+          <td class="path">${escapeHtml(asset.url)}</td>
+          <td>${escapeHtml(asset.resourceType)}</td>
+          <td>${asset.requests}</td>
+          <td>${asset.avgLatency}ms</td>
+          <td>${asset.p95Latency}ms</td>
+          <td>${asset.histogram.max}ms</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    ${
+      failing.length > 0
+        ? `
+    <h3>Failing Assets</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Asset</th>
+          <th>Type</th>
+          <th>Failed</th>
+          <th>Errors</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${failing
+          .map(
+            (asset) => `
+        <tr>
+          <td class="path">${escapeHtml(asset.url)}</td>
+          <td>${escapeHtml(asset.resourceType)}</td>
+          <td>${asset.failures} / ${asset.requests}</td>
+          <td>${formatErrorCounts(asset.errors)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    `
+        : ""
+    }
+  `;
+}
+
+// Table of response counts (compression or cache status) with their share
+function renderCountTable(column, counts, total) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th>${column}</th>
+          <th>Responses</th>
+          <th>Share</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${entries
+          .map(
+            ([key, count]) => `
+        <tr>
+          <td>${escapeHtml(key)}</td>
+          <td>${count}</td>
+          <td>${total > 0 ? Math.round((count / total) * 100) : 0}%</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+// Bytes the visited pages cost: per visit, by resource type and by page,
+// with compression of text responses, cache status and the bandwidth the
+// load generator needed
+function renderTransfer(results) {
+  const { transfer } = results;
+  if (!transfer || transfer.visits === 0) return "";
+
+  const types = Object.entries(transfer.byType).sort(
+    (a, b) => b[1].transferred - a[1].transferred
+  );
+  const pages = Object.values(results.transferByPath).sort(
+    (a, b) => a.domain.localeCompare(b.domain) || a.path.localeCompare(b.path)
+  );
+  const sum = (counts) =>
+    Object.values(counts).reduce((total, count) => total + count, 0);
+
+  return `
+    <h2>Transfer Size</h2>
+    
+    <p>${formatBytes(transfer.avgTransferred)} transferred (${formatBytes(
+    transfer.avgDecoded
+  )} decoded) per visit on average, ${formatBytes(
+    transfer.maxTransferred
+  )} at most. ${formatBytes(transfer.transferred)} over ${
+    transfer.visits
+  } visits: ${formatBandwidth(
+    transfer.bytesPerSecond
+  )} of bandwidth on the load generator.</p>
+    
+    <h3>By Resource Type</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Type</th>
+          <th>Requests</th>
+          <th>Transferred</th>
+          <th>Decoded</th>
+          <th>Transferred per Visit</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${types
+          .map(
+            ([type, metrics]) => `
+        <tr>
+          <td>${escapeHtml(type)}</td>
+          <td>${metrics.requests}</td>
+          <td>${formatBytes(metrics.transferred)}</td>
+          <td>${formatBytes(metrics.decoded)}</td>
+          <td>${formatBytes(
+            Math.round(metrics.transferred / transfer.visits)
+          )}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>By Page</h3>
+    
+    <table>
+      <thead>
+        <tr>
+          <th>Domain</th>
+          <th>Page</th>
+          <th>Visits</th>
+          <th>Avg Transferred</th>
+          <th>Avg Decoded</th>
+          <th>Max Transferred</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${pages
+          .map(
+            (page) => `
+        <tr>
+          <td>${escapeHtml(page.domain)}</td>
+          <td class="path">${escapeHtml(getReadablePath(page.path))}</td>
+          <td>${page.transfer.visits}</td>
+          <td>${formatBytes(page.transfer.avgTransferred)}</td>
+          <td>${formatBytes(page.transfer.avgDecoded)}</td>
+          <td>${formatBytes(page.transfer.maxTransferred)}</td>
+        </tr>
+        `
+          )
+          .join("")}
+      </tbody>
+    </table>
+    
+    <h3>Compression of Text Responses</h3>
+    ${renderCountTable(
+      "Encoding",
+      transfer.compression,
+      sum(transfer.compression)
+    )}
+    
+    <h3>Cache Status</h3>
+    
+    <p>${transfer.browserCached} of ${
+    transfer.requests
+  } resources came from the browser cache. The CDN cache status is read from the cf-cache-status, x-cache-status, x-cache or Age header; "none" responses had none of them.</p>
+    ${renderCountTable("CDN Status", transfer.cdnCache, sum(transfer.cdnCache))}
+    ${
+      transfer.unmeasured > 0
+        ? `<p>${transfer.unmeasured} cross-origin resources without Timing-Allow-Origin report no sizes and count as 0 bytes.</p>`
+        : ""
+    }
+  `;
+}
+
+module.exports = {
+  renderDiscoveredUrls,
+  renderTrafficMix,
+  renderJourneyTables,
+  renderBreakdown,
+  renderLocaleComparison,
+  renderStageTimeline,
+  renderArrivals,
+  renderThinkTime,
+  renderConcurrency,
+  renderWebVitals,
+  renderNavigationTiming,
+  renderNavigationCells,
+  renderResources,
+  renderTransfer,
+  formatVital,
+  formatErrorCounts,
+};
@@ -0,0 +1,243 @@
+// lib/reports/waterfall.js
+const { escapeHtml } = require("./helpers");
+
+// Phases drawn inside a request's bar, from its Resource Timing
+const PHASE_COLORS = {
+  dns: "#1abc9c",
+  connect: "#f39c12",
+  tls: "#9b59b6",
+  wait: "#3498db",
+  download: "#2ecc71",
+};
+
+const PHASE_LABELS = {
+  dns: "DNS",
+  connect: "Connect",
+  tls: "TLS",
+  wait: "Waiting (TTFB)",
+  download: "Download",
+};
+
+// Phases of a request as [name, start, end] in ms from its start; phases
+// that did not happen (reused connections, cached or failed requests) are
+// left out
+function getRequestPhases(timing) {
+  if (!timing) return [];
+  const tlsStart =
+    timing.secureConnectionStart > 0
+      ? timing.secureConnectionStart
+      : timing.connectEnd;
+  return [
+    ["dns", timing.domainLookupStart, timing.domainLookupEnd],
+    ["connect", timing.connectStart, tlsStart],
+    ["tls", tlsStart, timing.connectEnd],
+    ["wait", timing.requestStart, timing.responseStart],
+    ["download", timing.responseStart, timing.responseEnd],
+  ].filter(([, from, to]) => from >= 0 && to > from);
+}
+
+// Start and end time (epoch ms) of a logged request; end is null while it
+// was still in flight. Without a complete timing the duration comes from
+// the log's own timestamps.
+function getRequestSpan(entry) {
+  const { timing } = entry;
+  const start =
+    timing && timing.startTime > 0 ? timing.startTime : entry.timestamp;
+  if (timing && timing.responseEnd >= 0) {
+    return { start, end: start + timing.responseEnd };
+  }
+  const endTimestamp = entry.endTimestamp || entry.responseTimestamp;
+  return {
+    start,
+    end: endTimestamp ? start + (endTimestamp - entry.timestamp) : null,
+  };
+}
+
+// Error responses and requests that got no response
+function isFailedRequest(entry) {
+  return entry.failure !== undefined || entry.status >= 400;
+}
+
+function describeStatus(entry) {
+  if (entry.status !== undefined) return String(entry.status);
+  return entry.failure || "pending";
+}
+
+// Standalone HTML page showing every request of a visit on a shared time
+// axis, with the phases of each request's timing
+function renderWaterfall(
+  url,
+  requestLog,
+  { title = "Request Waterfall" } = {}
+) {
+  const rows = requestLog
+    .map((entry) => ({ entry, ...getRequestSpan(entry) }))
+    .sort((a, b) => a.start - b.start);
+  const origin = rows.length > 0 ? rows[0].start : 0;
+  const finish = Math.max(
+    origin,
+    ...rows.map((row) => (row.end !== null ? row.end : row.start))
+  );
+  const span = Math.max(1, finish - origin);
+  const percent = (ms) => ((ms / span) * 100).toFixed(2);
+  const failed = rows.filter(({ entry }) => isFailedRequest(entry)).length;
+  const legend = Object.keys(PHASE_COLORS)
+    .map(
+      (phase) =>
+        `<span><i style="background-color: ${PHASE_COLORS[phase]};"></i>${PHASE_LABELS[phase]}</span>`
+    )
+    .join("");
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body {
+      font-family: 'Segoe UI', Arial, sans-serif;
+      margin: 0;
+      padding: 20px;
+      background-color: #f5f5f5;
+      color: #333;
+    }
+    h1 {
+      color: #3498db;
+      font-size: 1.5em;
+    }
+    .container {
+      background-color: #fff;
+      border-radius: 10px;
+      padding: 30px;
+      box-shadow: 0 4px 15px rgba(0, 0, 0, 0.1);
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      font-size: 0.85em;
+    }
+    th, td {
+      padding: 4px 8px;
+      text-align: left;
+      border-bottom: 1px solid #eee;
+      white-space: nowrap;
+    }
+    th {
+      background-color: #f2f2f2;
+    }
+    td.url {
+      max-width: 420px;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      font-family: monospace;
+    }
+    td.track {
+      width: 45%;
+      position: relative;
+    }
+    tr.failed td {
+      color: #e74c3c;
+    }
+    .bar, .phase {
+      position: absolute;
+      top: 6px;
+      height: 12px;
+    }
+    .bar {
+      background-color: #d5dbdb;
+      min-width: 1px;
+    }
+    tr.failed .bar {
+      background-color: #e74c3c;
+    }
+    .bar.pending {
+      background-color: transparent;
+      border: 1px dashed #95a5a6;
+      box-sizing: border-box;
+    }
+    .legend span {
+      display: inline-block;
+      margin-right: 15px;
+    }
+    .legend i {
+      display: inline-block;
+      width: 12px;
+      height: 12px;
+      margin-right: 4px;
+      vertical-align: middle;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>
+    <p><strong>${escapeHtml(url)}</strong></p>
+    <p>${rows.length} requests, ${failed} failed, ${Math.round(
+    span
+  )}ms from the first request to the last response.</p>
+    <p class="legend">${legend}<span><i style="background-color: #d5dbdb;"></i>Queued / Other</span></p>
+
+    <table>
+      <thead>
+        <tr>
+          <th>#</th>
+          <th>URL</th>
+          <th>Method</th>
+          <th>Status</th>
+          <th>Type</th>
+          <th>Start</th>
+          <th>Duration</th>
+          <th>Timeline</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows
+          .map(({ entry, start, end }, index) => {
+            const offset = start - origin;
+            const bar =
+              end !== null
+                ? `<div class="bar" style="left: ${percent(
+                    offset
+                  )}%; width: ${percent(end - start)}%;"></div>`
+                : `<div class="bar pending" style="left: ${percent(
+                    offset
+                  )}%; right: 0;"></div>`;
+            const phases = getRequestPhases(entry.timing)
+              .map(
+                ([phase, from, to]) =>
+                  `<div class="phase" title="${
+                    PHASE_LABELS[phase]
+                  }: ${Math.round(to - from)}ms" style="background-color: ${
+                    PHASE_COLORS[phase]
+                  }; left: ${percent(offset + from)}%; width: ${percent(
+                    to - from
+                  )}%;"></div>`
+              )
+              .join("");
+            return `
+        <tr class="${isFailedRequest(entry) ? "failed" : ""}">
+          <td>${index + 1}</td>
+          <td class="url" title="${escapeHtml(entry.url)}">${escapeHtml(
+              entry.url
+            )}</td>
+          <td>${escapeHtml(entry.method)}</td>
+          <td>${escapeHtml(describeStatus(entry))}</td>
+          <td>${escapeHtml(entry.resourceType)}</td>
+          <td>+${Math.round(offset)}ms</td>
+          <td>${end !== null ? `${Math.round(end - start)}ms` : "-"}</td>
+          <td class="track">${bar}${phases}</td>
+        </tr>
+        `;
+          })
+          .join("")}
+      </tbody>
+    </table>
+  </div>
+</body>
+</html>
+  `;
+}
+
+module.exports = { renderWaterfall };
@@ -0,0 +1,201 @@
+// lib/resources.js
+const {
+  createHistogram,
+  recordValue,
+  mergeHistogram,
+  getPercentile,
+} = require("./histogram");
+
+// Requests, failures and latency (request sent to response received) of a
+// group of sub-resource requests
+function createLatencyMetrics() {
+  return {
+    requests: 0,
+    failures: 0,
+    responses: 0,
+    totalLatency: 0,
+    histogram: createHistogram(),
+    avgLatency: 0,
+    p95Latency: 0,
+  };
+}
+
+function createResourceMetrics() {
+  return {
+    ...createLatencyMetrics(),
+    // Keyed by resource type (script, image, ...)
+    byType: {},
+    // Keyed by host
+    byHost: {},
+    // Keyed by origin + path, so cache-busting query strings group together
+    assets: {},
+  };
+}
+
+function addRequest(metrics, failed, latency) {
+  metrics.requests++;
+  if (failed) metrics.failures++;
+  if (latency !== null) {
+    metrics.responses++;
+    metrics.totalLatency += latency;
+    recordValue(metrics.histogram, latency);
+  }
+}
+
+// "HTTP 404" for error responses, the browser's error (e.g.
+// "net::ERR_ABORTED") for requests that got none
+function getResourceError(logEntry) {
+  return logEntry.status !== undefined
+    ? `HTTP ${logEntry.status}`
+    : logEntry.failure;
+}
+
+// Time from a request's start to its response, from the browser's timing
+// when available
+function getLatency(logEntry) {
+  const { timing } = logEntry;
+  if (timing && timing.responseStart >= 0) {
+    return Math.round(timing.responseStart);
+  }
+  return Math.max(0, logEntry.responseTimestamp - logEntry.timestamp);
+}
+
+// Aggregate the request log of a visit into results.resources. The page's
+// own document is left out, as are requests still in flight when the visit
+// ended. Hosts other than the page's count as third parties.
+function recordResources(pageUrl, requestLog, results) {
+  const { resources } = results;
+  const pageHost = new URL(pageUrl).host;
+  const mainDocument = requestLog.find(
+    (entry) => entry.resourceType === "document"
+  );
+
+  for (const logEntry of requestLog) {
+    if (logEntry === mainDocument) continue;
+    const answered = logEntry.status !== undefined;
+    if (!answered && logEntry.failure === undefined) continue;
+
+    let urlObj;
+    try {
+      urlObj = new URL(logEntry.url);
+    } catch (error) {
+      continue;
+    }
+    if (urlObj.protocol !== "http:" && urlObj.protocol !== "https:") continue;
+
+    const failed = !answered || logEntry.status >= 400;
+    const latency = answered ? getLatency(logEntry) : null;
+    const { resourceType } = logEntry;
+    const thirdParty = urlObj.host !== pageHost;
+    const assetKey = urlObj.origin + urlObj.pathname;
+
+    if (!resources.byType[resourceType]) {
+      resources.byType[resourceType] = createLatencyMetrics();
+    }
+    if (!resources.byHost[urlObj.host]) {
+      resources.byHost[urlObj.host] = {
+        host: urlObj.host,
+        thirdParty,
+        ...createLatencyMetrics(),
+      };
+    }
+    if (!resources.assets[assetKey]) {
+      resources.assets[assetKey] = {
+        url: assetKey,
+        resourceType,
+        host: urlObj.host,
+        thirdParty,
+        errors: {},
+        ...createLatencyMetrics(),
+      };
+    }
+
+    const asset = resources.assets[assetKey];
+    addRequest(resources, failed, latency);
+    addRequest(resources.byType[resourceType], failed, latency);
+    addRequest(resources.byHost[urlObj.host], failed, latency);
+    addRequest(asset, failed, latency);
+    if (failed) {
+      const error = getResourceError(logEntry);
+      asset.errors[error] = (asset.errors[error] || 0) + 1;
+    }
+  }
+}
+
+function finalizeLatencyMetrics(metrics) {
+  metrics.avgLatency =
+    metrics.responses > 0
+      ? Math.round(metrics.totalLatency / metrics.responses)
+      : 0;
+  metrics.p95Latency = getPercentile(metrics.histogram, 95);
+  return metrics;
+}
+
+// Calculate the sub-resource latencies once all visits have finished
+function finalizeResources(results) {
+  const { resources } = results;
+  finalizeLatencyMetrics(resources);
+  for (const group of ["byType", "byHost", "assets"]) {
+    Object.values(resources[group]).forEach(finalizeLatencyMetrics);
+  }
+}
+
+function mergeLatencyMetrics(target, source) {
+  target.requests += source.requests;
+  target.failures += source.failures;
+  target.responses += source.responses;
+  target.totalLatency += source.totalLatency;
+  mergeHistogram(target.histogram, source.histogram);
+}
+
+// Add up the sub-resources of several runs (e.g. the runs of a load level)
+function combineResources(resultsList) {
+  const combined = createResourceMetrics();
+  for (const { resources } of resultsList) {
+    mergeLatencyMetrics(combined, resources);
+    for (const type in resources.byType) {
+      if (!combined.byType[type]) {
+        combined.byType[type] = createLatencyMetrics();
+      }
+      mergeLatencyMetrics(combined.byType[type], resources.byType[type]);
+    }
+    for (const host in resources.byHost) {
+      if (!combined.byHost[host]) {
+        combined.byHost[host] = {
+          host,
+          thirdParty: resources.byHost[host].thirdParty,
+          ...createLatencyMetrics(),
+        };
+      }
+      mergeLatencyMetrics(combined.byHost[host], resources.byHost[host]);
+    }
+    for (const assetKey in resources.assets) {
+      const asset = resources.assets[assetKey];
+      if (!combined.assets[assetKey]) {
+        combined.assets[assetKey] = {
+          url: asset.url,
+          resourceType: asset.resourceType,
+          host: asset.host,
+          thirdParty: asset.thirdParty,
+          errors: {},
+          ...createLatencyMetrics(),
+        };
+      }
+      const target = combined.assets[assetKey];
+      mergeLatencyMetrics(target, asset);
+      for (const error in asset.errors) {
+        target.errors[error] =
+          (target.errors[error] || 0) + asset.errors[error];
+      }
+    }
+  }
+  finalizeResources({ resources: combined });
+  return combined;
+}
+
+module.exports = {
+  createResourceMetrics,
+  recordResources,
+  finalizeResources,
+  combineResources,
+};
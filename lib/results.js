@@ -0,0 +1,311 @@
+// lib/results.js
+const { createHistogram, recordValue, getPercentiles } = require("./histogram");
+const { createVitalsMetrics } = require("./vitals");
+const { createNavigationMetrics } = require("./navigation-timing");
+const { createResourceMetrics } = require("./resources");
+const { createTransferMetrics } = require("./transfer");
+
+// Breakdowns of the metrics by a property of the virtual user
+const BREAKDOWNS = {
+  engineMetrics: (user) => user.browserType.name,
+  deviceMetrics: (user) => user.device,
+  networkMetrics: (user) => user.network,
+};
+
+// Create an empty results object for one run (a stress run or a capacity step)
+function createResults(userCount) {
+  return {
+    userCount,
+    startTime: Date.now(),
+    endTime: null,
+    totalRequests: 0,
+    successfulRequests: 0,
+    failedRequests: 0,
+    responseTimeTotal: 0,
+    avgResponseTime: 0,
+    successRate: 0,
+    requestsPerSecond: 0,
+    // Every successful response time, for the percentiles
+    responseTimeHistogram: createHistogram(),
+    percentiles: getPercentiles(createHistogram()),
+    responseTimeBuckets: {
+      "< 500ms": 0,
+      "500ms-1s": 0,
+      "1s-3s": 0,
+      "3s-5s": 0,
+      "5s-10s": 0,
+      "> 10s": 0,
+    },
+    errorTypes: {},
+    statusCodeCounts: {},
+    pathMetrics: {},
+    errorsByPath: {},
+    journeyMetrics: {},
+    engineMetrics: {},
+    deviceMetrics: {},
+    networkMetrics: {},
+    localeMetrics: {},
+    // Web Vitals overall and keyed by origin + path
+    vitals: createVitalsMetrics(),
+    vitalsByPath: {},
+    // Navigation Timing phases of each visit, overall and by origin + path
+    navigationTiming: createNavigationMetrics(),
+    navigationTimingByPath: {},
+    // Sub-resources the visited pages requested, from the request logs
+    resources: createResourceMetrics(),
+    // Bytes the visited pages cost, overall and by origin + path
+    transfer: createTransferMetrics(),
+    transferByPath: {},
+    // Time users spent thinking between actions, kept out of response times
+    thinkTime: { count: 0, total: 0, avg: 0, byAction: {} },
+  };
+}
+
+// Label of the response time bucket a measurement falls into
+function getResponseTimeBucket(responseTime) {
+  if (responseTime < 500) return "< 500ms";
+  if (responseTime < 1000) return "500ms-1s";
+  if (responseTime < 3000) return "1s-3s";
+  if (responseTime < 5000) return "3s-5s";
+  if (responseTime < 10000) return "5s-10s";
+  return "> 10s";
+}
+
+// Split a URL into the domain/path pair used to group metrics
+function getPathKey(url) {
+  const urlObj = new URL(url);
+  const domain = urlObj.origin;
+  const path = urlObj.pathname || "/";
+  return { domain, path, pathKey: domain + path };
+}
+
+function getPathMetrics(results, url) {
+  const { domain, path, pathKey } = getPathKey(url);
+
+  // Initialize if first time seeing this path
+  if (!results.pathMetrics[pathKey]) {
+    results.pathMetrics[pathKey] = {
+      domain,
+      path,
+      requests: 0,
+      successes: 0,
+      totalResponseTime: 0,
+      successRate: 0,
+      avgResponseTime: 0,
+      histogram: createHistogram(),
+      percentiles: null,
+      // Think time after the visits, kept out of their response times
+      thinkCount: 0,
+      totalThinkTime: 0,
+      avgThinkTime: 0,
+      // Request waterfall pages saved for visits to this path
+      waterfalls: [],
+    };
+  }
+
+  return results.pathMetrics[pathKey];
+}
+
+// The user's entry in each breakdown (engine, device, ...)
+function getBreakdownMetrics(results, user) {
+  return Object.keys(BREAKDOWNS).map((breakdown) => {
+    const name = BREAKDOWNS[breakdown](user);
+    if (!results[breakdown][name]) {
+      results[breakdown][name] = {
+        name,
+        users: 0,
+        requests: 0,
+        successes: 0,
+        totalResponseTime: 0,
+        successRate: 0,
+        avgResponseTime: 0,
+        errorTypes: {},
+      };
+    }
+    return results[breakdown][name];
+  });
+}
+
+// Count a virtual user in each breakdown
+function recordUser(results, user) {
+  for (const metrics of getBreakdownMetrics(results, user)) {
+    metrics.users++;
+  }
+}
+
+// Categorize a failed visit by status code or error message
+function categorizeError(statusCode, errorMessage) {
+  if (statusCode) {
+    return `HTTP ${statusCode}`;
+  }
+  if (!errorMessage) {
+    return "Unknown Error";
+  }
+
+  if (errorMessage.includes("timeout")) return "Timeout";
+  if (errorMessage.includes("net::")) return "Network Error";
+  if (errorMessage.includes("SSL")) return "SSL Error";
+  if (errorMessage.includes("Navigation")) return "Navigation Error";
+
+  // Extract the first part of the error message for categorization
+  const shortError = errorMessage.split(":")[0].trim();
+  return shortError.length > 0 ? shortError : "Unknown Error";
+}
+
+// Record a successful visit made by a virtual user
+function recordSuccess(results, url, responseTime, user) {
+  const pathMetrics = getPathMetrics(results, url);
+
+  results.successfulRequests++;
+  results.responseTimeTotal += responseTime;
+  results.responseTimeBuckets[getResponseTimeBucket(responseTime)]++;
+  recordValue(results.responseTimeHistogram, responseTime);
+
+  pathMetrics.requests++;
+  pathMetrics.successes++;
+  pathMetrics.totalResponseTime += responseTime;
+  recordValue(pathMetrics.histogram, responseTime);
+
+  for (const metrics of getBreakdownMetrics(results, user)) {
+    metrics.requests++;
+    metrics.successes++;
+    metrics.totalResponseTime += responseTime;
+  }
+}
+
+// Record a failed visit along with its error details
+function recordFailure(results, url, statusCode, errorMessage, user) {
+  const pathMetrics = getPathMetrics(results, url);
+  const { pathKey } = getPathKey(url);
+  const errorType = categorizeError(statusCode, errorMessage);
+  const message = errorMessage || `Status code: ${statusCode}`;
+
+  results.failedRequests++;
+  pathMetrics.requests++;
+
+  // Track error by type
+  if (!results.errorTypes[errorType]) {
+    results.errorTypes[errorType] = { count: 0, examples: [] };
+  }
+  results.errorTypes[errorType].count++;
+
+  // Keep a few examples per error type
+  if (results.errorTypes[errorType].examples.length < 3) {
+    results.errorTypes[errorType].examples.push({ url, errorMessage: message });
+  }
+
+  for (const metrics of getBreakdownMetrics(results, user)) {
+    metrics.requests++;
+    metrics.errorTypes[errorType] = (metrics.errorTypes[errorType] || 0) + 1;
+  }
+
+  // Track status codes
+  if (statusCode) {
+    if (!results.statusCodeCounts[statusCode]) {
+      results.statusCodeCounts[statusCode] = 0;
+    }
+    results.statusCodeCounts[statusCode]++;
+  }
+
+  // Track errors by path
+  if (!results.errorsByPath[pathKey]) {
+    results.errorsByPath[pathKey] = [];
+  }
+
+  // Keep at most 5 errors per path
+  if (results.errorsByPath[pathKey].length < 5) {
+    results.errorsByPath[pathKey].push({
+      errorType,
+      statusCode,
+      errorMessage: message,
+    });
+  }
+
+  return errorType;
+}
+
+// Record the think time a user spent after visiting a URL
+function recordVisitThinkTime(results, url, ms) {
+  const pathMetrics = getPathMetrics(results, url);
+  pathMetrics.thinkCount++;
+  pathMetrics.totalThinkTime += ms;
+}
+
+// Link a saved request waterfall page (href relative to the report) from
+// the path's metrics; statusCode is null for visits that got no response
+function recordWaterfall(results, url, href, statusCode) {
+  const pathMetrics = getPathMetrics(results, url);
+
+  // Keep at most 5 waterfalls per path
+  if (pathMetrics.waterfalls.length < 5) {
+    pathMetrics.waterfalls.push({ href, statusCode });
+  }
+}
+
+// Calculate rates and averages once all visits have finished
+function finalizeResults(results, testStartTime) {
+  results.endTime = Date.now();
+  const testDurationSeconds = (results.endTime - testStartTime) / 1000;
+
+  results.successRate =
+    results.totalRequests > 0
+      ? Math.round((results.successfulRequests / results.totalRequests) * 100)
+      : 0;
+
+  results.avgResponseTime =
+    results.successfulRequests > 0
+      ? Math.round(results.responseTimeTotal / results.successfulRequests)
+      : 0;
+
+  results.requestsPerSecond =
+    testDurationSeconds > 0
+      ? Math.round((results.totalRequests / testDurationSeconds) * 100) / 100
+      : 0;
+  results.percentiles = getPercentiles(results.responseTimeHistogram);
+
+  // Create path-specific metrics summary
+  for (const pathKey in results.pathMetrics) {
+    const pathData = results.pathMetrics[pathKey];
+    pathData.successRate =
+      pathData.requests > 0
+        ? Math.round((pathData.successes / pathData.requests) * 100)
+        : 0;
+    pathData.avgResponseTime =
+      pathData.successes > 0
+        ? Math.round(pathData.totalResponseTime / pathData.successes)
+        : 0;
+    pathData.percentiles = getPercentiles(pathData.histogram);
+    pathData.avgThinkTime =
+      pathData.thinkCount > 0
+        ? Math.round(pathData.totalThinkTime / pathData.thinkCount)
+        : 0;
+  }
+
+  for (const breakdown in BREAKDOWNS) {
+    for (const name in results[breakdown]) {
+      const groupData = results[breakdown][name];
+      groupData.successRate =
+        groupData.requests > 0
+          ? Math.round((groupData.successes / groupData.requests) * 100)
+          : 0;
+      groupData.avgResponseTime =
+        groupData.successes > 0
+          ? Math.round(groupData.totalResponseTime / groupData.successes)
+          : 0;
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  createResults,
+  getPathKey,
+  recordUser,
+  categorizeError,
+  recordSuccess,
+  recordFailure,
+  recordVisitThinkTime,
+  recordWaterfall,
+  finalizeResults,
+};
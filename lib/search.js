@@ -0,0 +1,50 @@
+// lib/search.js
+
+// How capacity runs pick the user count of each step: "linear" adds
+// stepSize users per step; "adaptive" grows exponentially until a step
+// fails, then bisects between the best passing and first failing counts
+const SEARCH_STRATEGIES = ["linear", "adaptive"];
+
+// Adaptive search multiplies the users by this until a step fails
+const GROWTH_FACTOR = 2;
+
+// User count and phase of the next capacity step given the load levels
+// run so far ({ userCount, passed }), or null when the search is over. A
+// failing first step does not end a linear run.
+function getNextProbe(config, steps) {
+  if (steps.length === 0) {
+    return {
+      users: config.minUsers,
+      phase: config.search === "linear" ? "step" : "grow",
+    };
+  }
+  const last = steps[steps.length - 1];
+
+  if (config.search === "linear") {
+    if (!last.passed && last.userCount > config.minUsers) return null;
+    const users = last.userCount + config.stepSize;
+    return users <= config.maxUsers ? { users, phase: "step" } : null;
+  }
+
+  const passing = steps.filter((step) => step.passed);
+  const failing = steps.filter((step) => !step.passed);
+  if (failing.length === 0) {
+    if (last.userCount >= config.maxUsers) return null;
+    return {
+      users: Math.min(last.userCount * GROWTH_FACTOR, config.maxUsers),
+      phase: "grow",
+    };
+  }
+
+  // Bisect until the passing and failing counts are close enough
+  if (passing.length === 0) return null;
+  const low = Math.max(...passing.map((step) => step.userCount));
+  const high = Math.min(...failing.map((step) => step.userCount));
+  if (high - low <= config.searchResolution) return null;
+  return { users: Math.floor((low + high) / 2), phase: "search" };
+}
+
+module.exports = {
+  SEARCH_STRATEGIES,
+  getNextProbe,
+};
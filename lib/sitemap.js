@@ -0,0 +1,139 @@
+// lib/sitemap.js
+const zlib = require("zlib");
+
+// Upper bound on sitemap files fetched per origin, including nested indexes
+const MAX_SITEMAP_FILES = 50;
+
+const XML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+};
+
+// Decode CDATA sections and XML entities in a text node
+function decodeXml(value) {
+  return value
+    .replace(/^<!\[CDATA\[([\s\S]*)\]\]>$/, "$1")
+    .replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === "#") {
+        const code =
+          entity[1].toLowerCase() === "x"
+            ? parseInt(entity.slice(2), 16)
+            : parseInt(entity.slice(1), 10);
+        return String.fromCodePoint(code);
+      }
+      return XML_ENTITIES[entity.toLowerCase()] || match;
+    });
+}
+
+// Extract <loc> values from a sitemap or sitemap index document
+function parseSitemap(xml) {
+  const isIndex = /<(?:\w+:)?sitemapindex[\s>]/i.test(xml);
+  const tag = isIndex ? "sitemap" : "url";
+  const blockRegex = new RegExp(
+    `<(?:\\w+:)?${tag}[\\s>][\\s\\S]*?</(?:\\w+:)?${tag}>`,
+    "gi"
+  );
+
+  const locations = [];
+  for (const block of xml.match(blockRegex) || []) {
+    const loc = /<(?:\w+:)?loc>([\s\S]*?)<\/(?:\w+:)?loc>/i.exec(block);
+    if (loc) {
+      locations.push(decodeXml(loc[1].trim()));
+    }
+  }
+
+  return { isIndex, locations };
+}
+
+async function fetchBody(url, timeout) {
+  const response = await fetch(url, {
+    headers: { "User-Agent": "StressTestBot/1.0" },
+    signal: AbortSignal.timeout(timeout),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  let body = Buffer.from(await response.arrayBuffer());
+
+  // Gzipped sitemaps (.xml.gz) arrive as raw gzip data, not Content-Encoding
+  if (body[0] === 0x1f && body[1] === 0x8b) {
+    body = zlib.gunzipSync(body);
+  }
+
+  return body.toString("utf8");
+}
+
+// Sitemaps announced in robots.txt, falling back to /sitemap.xml
+async function findSitemaps(origin, timeout) {
+  try {
+    const robots = await fetchBody(`${origin}/robots.txt`, timeout);
+    const announced = [];
+    for (const match of robots.matchAll(/^\s*sitemap:\s*(\S+)/gim)) {
+      announced.push(new URL(match[1], origin).href);
+    }
+    if (announced.length > 0) {
+      return announced;
+    }
+  } catch (error) {
+    // No robots.txt, use the conventional location
+  }
+
+  return [`${origin}/sitemap.xml`];
+}
+
+// Collect same-origin page URLs from the sitemaps of an origin.
+// Sitemap indexes are followed; filter and limit apply to page URLs.
+async function discoverFromSitemap(origin, options) {
+  const { timeout, limit, filter = () => true, logger = console } = options;
+  const queue = await findSitemaps(origin, timeout);
+  const fetched = new Set();
+  const urls = [];
+
+  while (
+    queue.length > 0 &&
+    urls.length < limit &&
+    fetched.size < MAX_SITEMAP_FILES
+  ) {
+    const sitemapUrl = queue.shift();
+    if (fetched.has(sitemapUrl)) continue;
+    fetched.add(sitemapUrl);
+
+    let parsed;
+    try {
+      parsed = parseSitemap(await fetchBody(sitemapUrl, timeout));
+    } catch (error) {
+      logger.error(`Failed to read sitemap ${sitemapUrl}: ${error.message}`);
+      continue;
+    }
+
+    for (const location of parsed.locations) {
+      let urlObj;
+      try {
+        urlObj = new URL(location, sitemapUrl);
+      } catch (error) {
+        continue;
+      }
+
+      if (parsed.isIndex) {
+        queue.push(urlObj.href);
+        continue;
+      }
+
+      // Only test pages on the origin under test
+      if (urlObj.origin !== origin) continue;
+      urlObj.hash = "";
+      if (urls.includes(urlObj.href) || !filter(urlObj.href)) continue;
+
+      urls.push(urlObj.href);
+      if (urls.length >= limit) break;
+    }
+  }
+
+  return { urls, sitemaps: [...fetched] };
+}
+
+module.exports = { parseSitemap, discoverFromSitemap };
@@ -0,0 +1,68 @@
+// lib/stages.js
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Parse a duration given as seconds (number or numeric string) or as a
+// string such as "90s", "2m" or "1m30s". Returns ms, or null if invalid.
+function parseDuration(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value >= 0
+      ? Math.round(value * 1000)
+      : null;
+  }
+  if (typeof value !== "string") return null;
+
+  const text = value.trim();
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+
+  const parts = text.match(/\d+(?:\.\d+)?(?:ms|s|m|h)/g);
+  if (!parts || parts.join("") !== text) return null;
+  return Math.round(
+    parts.reduce((total, part) => {
+      const [, amount, unit] = part.match(/^([\d.]+)(ms|s|m|h)$/);
+      return total + Number(amount) * DURATION_UNITS[unit];
+    }, 0)
+  );
+}
+
+function getStageLabel(from, target) {
+  if (target > from) return `Ramp up to ${target}`;
+  if (target < from) return `Ramp down to ${target}`;
+  return `Hold ${target}`;
+}
+
+// Lay stages ({ name, duration, target }) out on a timeline: when each
+// starts and ends (ms from the start of the run) and the users it goes from
+function getStageTimeline(stages) {
+  let start = 0;
+  let from = 0;
+  return stages.map((stage) => {
+    const entry = {
+      name: stage.name || getStageLabel(from, stage.target),
+      start,
+      end: start + stage.duration,
+      from,
+      target: stage.target,
+    };
+    start = entry.end;
+    from = stage.target;
+    return entry;
+  });
+}
+
+// Virtual users wanted at a moment of the run, interpolated within ramps
+function getTargetUsers(timeline, elapsed) {
+  for (const stage of timeline) {
+    if (elapsed < stage.end) {
+      const progress = (elapsed - stage.start) / (stage.end - stage.start);
+      return Math.round(stage.from + (stage.target - stage.from) * progress);
+    }
+  }
+  return 0;
+}
+
+module.exports = {
+  parseDuration,
+  getStageTimeline,
+  getTargetUsers,
+};
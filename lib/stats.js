@@ -0,0 +1,80 @@
+// lib/stats.js
+
+// Two-sided Student's t critical values by confidence level (percent) for
+// 1 to 30 degrees of freedom; larger samples use the normal value (z)
+const T_CRITICAL = {
+  80: {
+    z: 1.282,
+    t: [
+      3.078, 1.886, 1.638, 1.533, 1.476, 1.44, 1.415, 1.397, 1.383, 1.372,
+      1.363, 1.356, 1.35, 1.345, 1.341, 1.337, 1.333, 1.33, 1.328, 1.325, 1.323,
+      1.321, 1.319, 1.318, 1.316, 1.315, 1.314, 1.313, 1.311, 1.31,
+    ],
+  },
+  90: {
+    z: 1.645,
+    t: [
+      6.314, 2.92, 2.353, 2.132, 2.015, 1.943, 1.895, 1.86, 1.833, 1.812, 1.796,
+      1.782, 1.771, 1.761, 1.753, 1.746, 1.74, 1.734, 1.729, 1.725, 1.721,
+      1.717, 1.714, 1.711, 1.708, 1.706, 1.703, 1.701, 1.699, 1.697,
+    ],
+  },
+  95: {
+    z: 1.96,
+    t: [
+      12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+      2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08,
+      2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+    ],
+  },
+  99: {
+    z: 2.576,
+    t: [
+      63.657, 9.925, 5.841, 4.604, 4.032, 3.707, 3.499, 3.355, 3.25, 3.169,
+      3.106, 3.055, 3.012, 2.977, 2.947, 2.921, 2.898, 2.878, 2.861, 2.845,
+      2.831, 2.819, 2.807, 2.797, 2.787, 2.779, 2.771, 2.763, 2.756, 2.75,
+    ],
+  },
+};
+
+// Confidence levels (percent) that confidence intervals can be built for
+const CONFIDENCE_LEVELS = Object.keys(T_CRITICAL).map(Number);
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+// Mean, sample standard deviation and confidence interval of the mean of
+// a set of measurements, with the interval clipped to the values the
+// measurement can take. Fewer than two samples have no spread: stdDev, low
+// and high are then null.
+function summarizeSamples(
+  values,
+  confidence,
+  { min = -Infinity, max = Infinity } = {}
+) {
+  const count = values.length;
+  const mean = values.reduce((sum, value) => sum + value, 0) / count;
+  if (count < 2) {
+    return { mean: round1(mean), stdDev: null, low: null, high: null };
+  }
+
+  const variance =
+    values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (count - 1);
+  const stdDev = Math.sqrt(variance);
+  const { t, z } = T_CRITICAL[confidence];
+  const critical = count - 1 <= t.length ? t[count - 2] : z;
+  const margin = (critical * stdDev) / Math.sqrt(count);
+
+  return {
+    mean: round1(mean),
+    stdDev: round1(stdDev),
+    low: round1(Math.max(min, mean - margin)),
+    high: round1(Math.min(max, mean + margin)),
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  summarizeSamples,
+};
@@ -0,0 +1,250 @@
+// lib/stress.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { resolveOptions } = require("./options");
+const { applyPlan } = require("./plan");
+const { createResults, recordUser, finalizeResults } = require("./results");
+const { getAllUrls } = require("./targets");
+const { discoverUrls } = require("./discovery");
+const { finalizeJourneyMetrics } = require("./journeys");
+const { finalizeLocaleMetrics } = require("./locales");
+const { finalizeThinkTime } = require("./think-time");
+const { finalizeVitals } = require("./vitals");
+const { finalizeNavigationTiming } = require("./navigation-timing");
+const { finalizeResources } = require("./resources");
+const { finalizeTransfer } = require("./transfer");
+const {
+  createUserFactory,
+  runTask,
+  runStages,
+  runArrivals,
+} = require("./users");
+const { getStageTimeline } = require("./stages");
+const { createSessionTracker } = require("./concurrency");
+const { shuffle, runQueue } = require("./queue");
+const { createBrowserPool, getPoolSize } = require("./browser-pool");
+const { renderRunReport } = require("./reports/run-report");
+const {
+  formatDuration,
+  getSystemInfo,
+  formatBytes,
+  formatBandwidth,
+} = require("./reports/helpers");
+
+// Next task of a user in a staged or open-model run: users go through the
+// URLs (or journeys) in turn, each starting at a different one
+function createTaskPicker(journeys, allUrls) {
+  return (user, iteration) => {
+    const index = user.id - 1 + iteration;
+    return journeys.length > 0
+      ? { user, journey: journeys[index % journeys.length] }
+      : { user, url: allUrls[index % allUrls.length] };
+  };
+}
+
+// Run the fixed-load stress test: every user visits every URL once, or runs
+// every journey once when journeys are configured. With stages, users
+// instead loop over the URLs (or journeys) while following the stage
+// targets until the last stage ends. With an arrival rate, a new visitor
+// arrives every 1/rate seconds and makes one visit (open model).
+async function runStress(options = {}) {
+  const config = resolveOptions("stress", applyPlan("stress", options));
+  const { logger } = config;
+  const run = {
+    config,
+    logger,
+    logDir: path.join(config.outputDir, "stress_test_logs"),
+  };
+
+  if (config.planName) {
+    logger.log(`Using plan "${config.planName}"`);
+  }
+  const timeline = getStageTimeline(config.stages);
+  const staged = timeline.length > 0;
+  const open = config.arrivalRate !== null;
+  const userCount = staged
+    ? Math.max(...timeline.map((stage) => stage.target))
+    : config.users;
+  if (open) {
+    logger.log(
+      `Starting stress test with ${
+        config.arrivalRate
+      } new visitors/second for ${formatDuration(
+        config.duration / 1000
+      )} (max ${config.maxInFlight} in flight)...`
+    );
+  } else {
+    logger.log(
+      `Starting stress test with ${staged ? "up to " : ""}${userCount} users...`
+    );
+  }
+  logger.log(`System info: ${getSystemInfo()}`);
+
+  const { domains, discovered, crawlPath } = await discoverUrls(config, logger);
+  const allUrls = getAllUrls(domains);
+
+  const { journeys } = config;
+  if (open) {
+    logger.log(
+      `Each visitor ${
+        journeys.length > 0
+          ? `runs one of ${journeys.length} journeys`
+          : `visits one of ${allUrls.length} URLs`
+      }`
+    );
+  } else if (staged) {
+    logger.log(
+      `Running ${timeline.length} stages over ${formatDuration(
+        timeline[timeline.length - 1].end / 1000
+      )}, looping over ${
+        journeys.length > 0
+          ? `${journeys.length} journeys`
+          : `${allUrls.length} URLs`
+      }`
+    );
+  } else if (journeys.length > 0) {
+    logger.log(
+      `Running ${journeys.length} journeys with ${
+        config.users
+      } users each (total: ${journeys.length * config.users} journeys)`
+    );
+  } else {
+    logger.log(
+      `Testing ${allUrls.length} URLs with ${config.users} users each (total: ${
+        allUrls.length * config.users
+      } tests)`
+    );
+  }
+
+  const results = createResults(open ? 0 : userCount);
+
+  // Create a queue of all tests to run
+  const createUser = createUserFactory(config);
+  const testQueue = [];
+  for (let userId = 1; !staged && !open && userId <= config.users; userId++) {
+    const user = createUser(userId);
+    recordUser(results, user);
+
+    if (journeys.length > 0) {
+      for (const journey of journeys) {
+        testQueue.push({ user, journey });
+      }
+    } else {
+      for (const url of allUrls) {
+        testQueue.push({ user, url });
+      }
+    }
+  }
+  shuffle(testQueue);
+
+  // Process queue with concurrency limit (reduced by default to avoid
+  // overwhelming the server). Staged users each run one session at a time;
+  // open-model visitors are only capped by maxInFlight.
+  const concurrencyLimit = open
+    ? config.maxInFlight
+    : staged
+    ? userCount
+    : config.concurrency || Math.min(15, os.cpus().length);
+
+  results.urls = allUrls;
+  results.discoveredUrls = discovered;
+  results.crawlPath = crawlPath;
+  results.concurrencyLimit = concurrencyLimit;
+
+  run.pool = createBrowserPool(
+    getPoolSize(config.poolSize, concurrencyLimit),
+    logger
+  );
+  run.sessions = createSessionTracker();
+  try {
+    if (open) {
+      await runArrivals(run, results, {
+        rate: config.arrivalRate,
+        duration: config.duration,
+        maxInFlight: config.maxInFlight,
+        createUser,
+        nextTask: createTaskPicker(journeys, allUrls),
+      });
+      results.userCount = results.arrivals.started;
+    } else if (staged) {
+      await runStages(run, timeline, results, {
+        createUser,
+        nextTask: createTaskPicker(journeys, allUrls),
+      });
+    } else {
+      await runQueue(
+        testQueue,
+        concurrencyLimit,
+        (test) => runTask(run, test, results),
+        logger
+      );
+    }
+  } finally {
+    results.browserPool = run.pool.takeStats();
+    results.concurrency = {
+      requested: open ? null : userCount,
+      limit: concurrencyLimit,
+      ...run.sessions.finish(),
+    };
+    await run.pool.close();
+  }
+  if (open) {
+    const { arrivals } = results;
+    logger.log(
+      `Arrivals: ${arrivals.started}/${arrivals.scheduled} started (${arrivals.achievedRate}/s), ${arrivals.dropped} dropped, ${arrivals.late} late`
+    );
+  }
+  logger.log(
+    `Concurrency: ${results.concurrency.average} avg, ${results.concurrency.peak} peak sessions in flight (limit ${concurrencyLimit})`
+  );
+  logger.log(
+    `Browser instances used: ${results.browserPool.instances} (${results.browserPool.launches} launched, ${results.browserPool.crashes} crashed)`
+  );
+
+  finalizeResults(results, results.startTime);
+  finalizeJourneyMetrics(results);
+  finalizeLocaleMetrics(results.localeMetrics);
+  finalizeThinkTime(results);
+  finalizeVitals(results);
+  finalizeNavigationTiming(results);
+  finalizeResources(results);
+  finalizeTransfer(results);
+  logger.log(
+    `Response times: p50 ${results.percentiles.p50}ms, p95 ${results.percentiles.p95}ms, p99 ${results.percentiles.p99}ms, max ${results.percentiles.max}ms`
+  );
+  logger.log(
+    `Transferred: ${formatBytes(results.transfer.transferred)} (${formatBytes(
+      results.transfer.avgTransferred
+    )} per visit), ${formatBandwidth(results.transfer.bytesPerSecond)}`
+  );
+  const testDurationSeconds = (results.endTime - results.startTime) / 1000;
+
+  if (config.report) {
+    if (!fs.existsSync(config.outputDir)) {
+      fs.mkdirSync(config.outputDir, { recursive: true });
+    }
+    results.reportPath = path.join(config.outputDir, "stress-test-report.html");
+    fs.writeFileSync(
+      results.reportPath,
+      renderRunReport(results, {
+        title: `Website Stress Test Results - ${results.userCount} ${
+          open ? "Visitors" : "Users"
+        }`,
+        heading: "Website Stress Test Results",
+        usersLabel: open ? "Visitors" : staged ? "Peak Users" : "Users",
+      })
+    );
+    logger.log(
+      `Test completed in ${testDurationSeconds.toFixed(
+        1
+      )} seconds. Report saved to ${results.reportPath}`
+    );
+  } else {
+    logger.log(`Test completed in ${testDurationSeconds.toFixed(1)} seconds.`);
+  }
+
+  return results;
+}
+
+module.exports = { runStress };
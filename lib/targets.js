@@ -0,0 +1,18 @@
+// lib/targets.js
+
+// Generate all URLs to test (main domain + subpaths)
+function getAllUrls(domains) {
+  const allUrls = [];
+  for (const domain in domains) {
+    // Add main domain
+    allUrls.push(domain);
+
+    // Add subpaths
+    for (const path of domains[domain]) {
+      allUrls.push(domain + path);
+    }
+  }
+  return allUrls;
+}
+
+module.exports = { getAllUrls };
@@ -0,0 +1,145 @@
+// lib/think-time.js
+
+// Parameters each think-time distribution takes, in ms. min and max
+// optionally clamp the normal, exponential and log-normal distributions.
+const DISTRIBUTIONS = {
+  constant: { required: ["ms"], optional: [] },
+  uniform: { required: ["min", "max"], optional: [] },
+  normal: { required: ["mean", "stdDev"], optional: ["min", "max"] },
+  exponential: { required: ["mean"], optional: ["min", "max"] },
+  lognormal: { required: ["mean", "stdDev"], optional: ["min", "max"] },
+};
+
+// Think time of actions without a distribution of their own
+const DEFAULT_ACTION = "default";
+
+// Parse a CLI think time such as "constant:ms=1500" or
+// "normal:mean=2000,stdDev=500" into a distribution spec
+function parseThinkTime(value) {
+  const separator = value.indexOf(":");
+  const spec = {
+    distribution: separator === -1 ? value : value.slice(0, separator),
+  };
+  if (separator !== -1) {
+    for (const pair of value.slice(separator + 1).split(",")) {
+      const [key, amount] = pair.split("=");
+      spec[key.trim()] = Number(amount);
+    }
+  }
+  return spec;
+}
+
+// Describe what is wrong with a distribution spec, or return null if it is
+// valid
+function checkThinkTime(spec) {
+  if (!spec || typeof spec !== "object") {
+    return "must be an object with a distribution";
+  }
+  const params = DISTRIBUTIONS[spec.distribution];
+  if (!params) {
+    return `distribution must be one of ${Object.keys(DISTRIBUTIONS).join(
+      ", "
+    )} (got ${spec.distribution})`;
+  }
+
+  for (const key in spec) {
+    if (key === "distribution") continue;
+    if (!params.required.includes(key) && !params.optional.includes(key)) {
+      return `${spec.distribution} does not take ${key}`;
+    }
+    if (!(typeof spec[key] === "number" && spec[key] >= 0)) {
+      return `${key} must be a number >= 0 (got ${spec[key]})`;
+    }
+  }
+  for (const key of params.required) {
+    if (spec[key] === undefined) {
+      return `${spec.distribution} needs ${params.required.join(", ")}`;
+    }
+  }
+  if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+    return `min (${spec.min}) must not exceed max (${spec.max})`;
+  }
+  if (spec.distribution === "lognormal" && spec.mean === 0) {
+    return "lognormal needs a mean above 0";
+  }
+  return null;
+}
+
+// Standard normal random number (Box-Muller)
+function randomNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Draw a think time in ms from a distribution spec
+function sampleThinkTime(spec) {
+  let ms;
+  switch (spec.distribution) {
+    case "constant":
+      return spec.ms;
+    case "uniform":
+      return Math.floor(Math.random() * (spec.max - spec.min + 1) + spec.min);
+    case "normal":
+      ms = spec.mean + spec.stdDev * randomNormal();
+      break;
+    case "exponential":
+      ms = -spec.mean * Math.log(1 - Math.random());
+      break;
+    case "lognormal": {
+      // Parameters of the underlying normal giving this mean and stdDev
+      const sigma2 = Math.log(1 + (spec.stdDev / spec.mean) ** 2);
+      const mu = Math.log(spec.mean) - sigma2 / 2;
+      ms = Math.exp(mu + Math.sqrt(sigma2) * randomNormal());
+      break;
+    }
+    default:
+      throw new Error(`Unknown think time distribution: ${spec.distribution}`);
+  }
+
+  ms = Math.max(spec.min !== undefined ? spec.min : 0, ms);
+  if (spec.max !== undefined) ms = Math.min(spec.max, ms);
+  return Math.round(ms);
+}
+
+// Distribution for an action ("visit" or a journey step action); a step's
+// own thinkTime wins over the configured ones. Undefined when the action
+// has none: journey steps only think when configured to.
+function getThinkTimeSpec(thinkTime, action, step) {
+  if (step && step.thinkTime) return step.thinkTime;
+  return thinkTime[action] || thinkTime[DEFAULT_ACTION];
+}
+
+// Count think time per action in results, apart from response times
+function recordThinkTime(results, action, ms) {
+  const byAction = results.thinkTime.byAction;
+  if (!byAction[action]) {
+    byAction[action] = { count: 0, total: 0, avg: 0 };
+  }
+  for (const metrics of [results.thinkTime, byAction[action]]) {
+    metrics.count++;
+    metrics.total += ms;
+  }
+}
+
+// Calculate think time averages once all visits have finished
+function finalizeThinkTime(results) {
+  const metrics = [
+    results.thinkTime,
+    ...Object.values(results.thinkTime.byAction),
+  ];
+  for (const entry of metrics) {
+    entry.avg = entry.count > 0 ? Math.round(entry.total / entry.count) : 0;
+  }
+}
+
+module.exports = {
+  DISTRIBUTIONS,
+  DEFAULT_ACTION,
+  parseThinkTime,
+  checkThinkTime,
+  sampleThinkTime,
+  getThinkTimeSpec,
+  recordThinkTime,
+  finalizeThinkTime,
+};
@@ -0,0 +1,126 @@
+// lib/traffic.js
+const { compilePattern, matchesUrl } = require("./patterns");
+const { getPathKey } = require("./results");
+
+// Work out each URL's share of traffic (0-1) from the weight rules.
+// A URL belongs to the first rule it matches and a rule's weight is split
+// evenly between its URLs. Weights are percentages: whatever the rules
+// leave over is split evenly between URLs no rule matches. Without rules
+// every URL gets the same share.
+function getTrafficShares(urls, weights = []) {
+  const rules = weights.map((rule) => ({
+    ...rule,
+    regex: compilePattern(rule.match),
+    urls: [],
+  }));
+  const unmatched = [];
+
+  for (const url of urls) {
+    const rule = rules.find((candidate) => matchesUrl(candidate.regex, url));
+    if (rule) {
+      rule.urls.push(url);
+    } else {
+      unmatched.push(url);
+    }
+  }
+
+  const rawWeights = new Map();
+  let assigned = 0;
+  for (const rule of rules) {
+    if (rule.urls.length === 0) continue;
+    assigned += rule.weight;
+    for (const url of rule.urls) {
+      rawWeights.set(url, rule.weight / rule.urls.length);
+    }
+  }
+
+  const remainder = rules.length > 0 ? Math.max(0, 100 - assigned) : 100;
+  for (const url of unmatched) {
+    rawWeights.set(url, remainder / unmatched.length);
+  }
+
+  // Normalize so shares add up to 1 even if the rules exceed 100%
+  const total = [...rawWeights.values()].reduce((sum, value) => sum + value, 0);
+  return urls.map((url) => ({
+    url,
+    share: total > 0 ? rawWeights.get(url) / total : 0,
+  }));
+}
+
+// Create a function that picks a URL according to its traffic share
+function createUrlPicker(shares) {
+  const candidates = shares.filter((entry) => entry.share > 0);
+  const cumulative = [];
+  let total = 0;
+  for (const entry of candidates) {
+    total += entry.share;
+    cumulative.push(total);
+  }
+
+  return () => {
+    const target = Math.random() * total;
+    const index = cumulative.findIndex((bound) => target < bound);
+    return candidates[index === -1 ? candidates.length - 1 : index].url;
+  };
+}
+
+// Intended vs. actual share per path (as percentages) for a set of results
+function getTrafficMix(shares, resultsList) {
+  const mix = {};
+
+  for (const { url, share } of shares) {
+    const { pathKey, domain, path } = getPathKey(url);
+    if (!mix[pathKey]) {
+      mix[pathKey] = { domain, path, intended: 0, requests: 0, actual: 0 };
+    }
+    mix[pathKey].intended += share * 100;
+  }
+
+  let totalRequests = 0;
+  for (const results of resultsList) {
+    for (const pathKey in results.pathMetrics) {
+      const metric = results.pathMetrics[pathKey];
+      if (!mix[pathKey]) {
+        mix[pathKey] = {
+          domain: metric.domain,
+          path: metric.path,
+          intended: 0,
+          requests: 0,
+          actual: 0,
+        };
+      }
+      mix[pathKey].requests += metric.requests;
+      totalRequests += metric.requests;
+    }
+  }
+
+  for (const pathKey in mix) {
+    const entry = mix[pathKey];
+    entry.intended = Math.round(entry.intended * 10) / 10;
+    entry.actual =
+      totalRequests > 0
+        ? Math.round((entry.requests / totalRequests) * 1000) / 10
+        : 0;
+  }
+
+  return mix;
+}
+
+// Parse a "pattern=weight" CLI value into a weight rule
+function parseWeightRule(value) {
+  const separator = value.lastIndexOf("=");
+  if (separator <= 0) {
+    return null;
+  }
+  return {
+    match: value.slice(0, separator),
+    weight: Number(value.slice(separator + 1)),
+  };
+}
+
+module.exports = {
+  getTrafficShares,
+  createUrlPicker,
+  getTrafficMix,
+  parseWeightRule,
+};
@@ -0,0 +1,209 @@
+// lib/transfer.js
+
+// Content types worth compressing; compression is only counted for these
+const COMPRESSIBLE_TYPES =
+  /^(text\/|application\/(javascript|ecmascript|json|xml|[\w.-]+\+(json|xml))|image\/svg\+xml)/i;
+
+// Cache status reported by a CDN or proxy in front of the site, upper-cased
+// (e.g. "HIT", "MISS", "DYNAMIC"), or null when no cache header was sent.
+// An Age above 0 without a status header means a cached copy was served.
+function getCacheStatus(headers) {
+  const status =
+    headers["cf-cache-status"] ||
+    headers["x-cache-status"] ||
+    headers["x-cache"];
+  if (status) {
+    // x-cache can list every cache layer ("HIT, MISS") or read "Hit from
+    // cloudfront": the first layer is the one that answered
+    const first = status.split(",")[0].trim().toUpperCase();
+    if (first.includes("HIT")) return "HIT";
+    if (first.includes("MISS")) return "MISS";
+    return first.split(/\s+/)[0];
+  }
+  return Number(headers.age) > 0 ? "HIT" : null;
+}
+
+function createTransferMetrics() {
+  return {
+    visits: 0,
+    // Bytes over the network (headers included) and after decompression
+    transferred: 0,
+    decoded: 0,
+    maxTransferred: 0,
+    requests: 0,
+    // Cross-origin responses without Timing-Allow-Origin report no sizes
+    unmeasured: 0,
+    // Served from the browser's cache: nothing transferred
+    browserCached: 0,
+    // Keyed by resource type: { requests, transferred, decoded }
+    byType: {},
+    // Text responses keyed by content encoding, "none" when uncompressed
+    compression: {},
+    // Responses keyed by CDN cache status, "none" without a cache header
+    cdnCache: {},
+    avgTransferred: 0,
+    avgDecoded: 0,
+    // Over the run's duration: the bandwidth the load generator needed
+    bytesPerSecond: 0,
+  };
+}
+
+// Sizes of every resource the page loaded, the document included, from
+// the browser's Resource Timing
+function collectResourceSizes(page) {
+  return page.evaluate(() =>
+    performance
+      .getEntriesByType("navigation")
+      .concat(performance.getEntriesByType("resource"))
+      .map((entry) => ({
+        url: entry.name,
+        initiatorType: entry.initiatorType,
+        transferSize: entry.transferSize || 0,
+        decodedBodySize: entry.decodedBodySize || 0,
+      }))
+  );
+}
+
+function count(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+function addVisit(metrics, transferred, decoded) {
+  metrics.visits++;
+  metrics.transferred += transferred;
+  metrics.decoded += decoded;
+  metrics.maxTransferred = Math.max(metrics.maxTransferred, transferred);
+}
+
+// Count the bytes the page a visit loaded cost, by resource type, with the
+// compression and cache status of its responses, overall and under the
+// page's path. Resource types, encodings and cache headers come from the
+// visit's request log. Pages whose sizes cannot be read are skipped.
+async function recordTransfer(page, url, requestLog, results) {
+  const sizes = await collectResourceSizes(page).catch(() => null);
+  if (!sizes || sizes.length === 0) return;
+  const { transfer } = results;
+
+  // Answered requests by URL, in request order, to pair with the sizes
+  const logEntries = {};
+  for (const logEntry of requestLog) {
+    if (logEntry.status === undefined) continue;
+    (logEntries[logEntry.url] = logEntries[logEntry.url] || []).push(logEntry);
+  }
+
+  let transferred = 0;
+  let decoded = 0;
+  for (const size of sizes) {
+    const logEntry = logEntries[size.url] ? logEntries[size.url].shift() : null;
+    const type = logEntry
+      ? logEntry.resourceType
+      : size.initiatorType === "navigation"
+      ? "document"
+      : "other";
+    if (!transfer.byType[type]) {
+      transfer.byType[type] = { requests: 0, transferred: 0, decoded: 0 };
+    }
+    const typeMetrics = transfer.byType[type];
+    typeMetrics.requests++;
+    typeMetrics.transferred += size.transferSize;
+    typeMetrics.decoded += size.decodedBodySize;
+    transferred += size.transferSize;
+    decoded += size.decodedBodySize;
+
+    transfer.requests++;
+    if (size.transferSize === 0 && size.decodedBodySize === 0) {
+      transfer.unmeasured++;
+    } else if (size.transferSize === 0) {
+      transfer.browserCached++;
+    }
+    if (logEntry) {
+      if (COMPRESSIBLE_TYPES.test(logEntry.contentType || "")) {
+        count(transfer.compression, logEntry.encoding || "none");
+      }
+      count(transfer.cdnCache, logEntry.cacheStatus || "none");
+    }
+  }
+
+  const urlObj = new URL(url);
+  const pathKey = urlObj.origin + urlObj.pathname;
+  if (!results.transferByPath[pathKey]) {
+    results.transferByPath[pathKey] = {
+      domain: urlObj.origin,
+      path: urlObj.pathname || "/",
+      transfer: createTransferMetrics(),
+    };
+  }
+  addVisit(transfer, transferred, decoded);
+  addVisit(results.transferByPath[pathKey].transfer, transferred, decoded);
+}
+
+function finalizeTransferMetrics(metrics, durationSeconds) {
+  metrics.avgTransferred =
+    metrics.visits > 0 ? Math.round(metrics.transferred / metrics.visits) : 0;
+  metrics.avgDecoded =
+    metrics.visits > 0 ? Math.round(metrics.decoded / metrics.visits) : 0;
+  metrics.bytesPerSecond =
+    durationSeconds > 0 ? Math.round(metrics.transferred / durationSeconds) : 0;
+  return metrics;
+}
+
+// Calculate the per-visit averages and bandwidth of a run once it has
+// finished (after finalizeResults, which sets its end time)
+function finalizeTransfer(results) {
+  const durationSeconds = (results.endTime - results.startTime) / 1000;
+  finalizeTransferMetrics(results.transfer, durationSeconds);
+  for (const pathKey in results.transferByPath) {
+    finalizeTransferMetrics(
+      results.transferByPath[pathKey].transfer,
+      durationSeconds
+    );
+  }
+}
+
+function addCounts(target, source) {
+  for (const key in source) {
+    target[key] = (target[key] || 0) + source[key];
+  }
+}
+
+// Add up the transfer of several runs (e.g. the runs of a load level); the
+// bandwidth is over their combined duration
+function combineTransfer(resultsList) {
+  const combined = createTransferMetrics();
+  let durationSeconds = 0;
+  for (const results of resultsList) {
+    const { transfer } = results;
+    for (const key of [
+      "visits",
+      "transferred",
+      "decoded",
+      "requests",
+      "unmeasured",
+      "browserCached",
+    ]) {
+      combined[key] += transfer[key];
+    }
+    combined.maxTransferred = Math.max(
+      combined.maxTransferred,
+      transfer.maxTransferred
+    );
+    for (const type in transfer.byType) {
+      if (!combined.byType[type]) {
+        combined.byType[type] = { requests: 0, transferred: 0, decoded: 0 };
+      }
+      addCounts(combined.byType[type], transfer.byType[type]);
+    }
+    addCounts(combined.compression, transfer.compression);
+    addCounts(combined.cdnCache, transfer.cdnCache);
+    durationSeconds += (results.endTime - results.startTime) / 1000;
+  }
+  return finalizeTransferMetrics(combined, durationSeconds);
+}
+
+module.exports = {
+  getCacheStatus,
+  createTransferMetrics,
+  recordTransfer,
+  finalizeTransfer,
+  combineTransfer,
+};
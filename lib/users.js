@@ -0,0 +1,247 @@
+// lib/users.js
+const { BROWSER_LAUNCHERS } = require("./options");
+const { UNTHROTTLED, canThrottle } = require("./network");
+const { recordUser } = require("./results");
+const { testUrl } = require("./visit");
+const { runJourney } = require("./journeys");
+const { getTargetUsers } = require("./stages");
+
+// How often staged runs adjust the user count and sample the timeline
+const TICK_MS = 1000;
+
+// Arrivals starting later than this after their scheduled time count as late
+const LATE_ARRIVAL_MS = 250;
+
+// Create a function that returns the next key (e.g. an engine or device
+// name) so that keys come up in proportion to their share, interleaved
+// rather than in blocks (smooth weighted round robin)
+function createShareAssigner(shares) {
+  const entries = Object.keys(shares).map((key) => ({
+    key,
+    share: shares[key],
+    current: 0,
+  }));
+  const total = entries.reduce((sum, entry) => sum + entry.share, 0);
+
+  return () => {
+    let selected = null;
+    for (const entry of entries) {
+      entry.current += entry.share;
+      if (!selected || entry.current > selected.current) {
+        selected = entry;
+      }
+    }
+    selected.current -= total;
+    return selected.key;
+  };
+}
+
+// Create a function that builds virtual users, spreading them over the
+// configured engines, devices and network profiles by their share. Network
+// profiles only apply to engines that can be throttled.
+function createUserFactory(config) {
+  const assignEngine = createShareAssigner(config.browserShares);
+
+  // Device and network rotations per engine, so every engine sees the full
+  // mix instead of the rotations lining up
+  const assigners = {};
+
+  return (id) => {
+    const engine = assignEngine();
+    const browserType = BROWSER_LAUNCHERS[engine];
+    if (!assigners[engine]) {
+      assigners[engine] = {
+        device: createShareAssigner(config.deviceShares),
+        network: createShareAssigner(config.networkShares),
+      };
+    }
+    return {
+      id,
+      browserType,
+      device: assigners[engine].device(),
+      network: canThrottle(browserType)
+        ? assigners[engine].network()
+        : UNTHROTTLED,
+    };
+  };
+}
+
+// Run one queued task: a journey or a single-URL visit
+function runTask(run, task, results) {
+  return task.journey
+    ? runJourney(run, task.user, task.journey, results)
+    : testUrl(run, task.user, task.url, results);
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Run virtual users that loop over their tasks until the timeline ends,
+// starting and stopping users to follow the stage targets. Users stopped by
+// a ramp down finish their current task first. nextTask(user, iteration)
+// gives the task of a user's next iteration. Samples of the user count and
+// throughput go to results.timeline.
+async function runStages(run, timeline, results, { createUser, nextTask }) {
+  const { logger } = run;
+  const startTime = Date.now();
+  const endTime = startTime + timeline[timeline.length - 1].end;
+  const active = [];
+  let nextUserId = 1;
+
+  const startUser = () => {
+    const user = createUser(nextUserId++);
+    recordUser(results, user);
+
+    const slot = { user, stopping: false };
+    slot.promise = (async () => {
+      for (let iteration = 0; !slot.stopping; iteration++) {
+        try {
+          await runTask(run, nextTask(user, iteration), results);
+        } catch (error) {
+          logger.error(`Test error: ${error}`);
+        }
+      }
+    })().finally(() => {
+      active.splice(active.indexOf(slot), 1);
+    });
+    active.push(slot);
+  };
+
+  // Counters at the previous sample, to turn totals into per-interval values
+  let previous = { time: startTime, successes: 0, failures: 0, total: 0 };
+  results.timeline = [];
+  const sample = (targetUsers) => {
+    const now = Date.now();
+    const successes = results.successfulRequests - previous.successes;
+    const failures = results.failedRequests - previous.failures;
+    const requests = successes + failures;
+    const responseTime = results.responseTimeTotal - previous.total;
+    const seconds = (now - previous.time) / 1000;
+
+    results.timeline.push({
+      time: Math.round((now - startTime) / 100) / 10,
+      targetUsers,
+      activeUsers: active.length,
+      requests,
+      failures,
+      requestsPerSecond:
+        seconds > 0 ? Math.round((requests / seconds) * 10) / 10 : 0,
+      successRate: requests > 0 ? Math.round((successes / requests) * 100) : 0,
+      avgResponseTime: successes > 0 ? Math.round(responseTime / successes) : 0,
+    });
+    previous = {
+      time: now,
+      successes: results.successfulRequests,
+      failures: results.failedRequests,
+      total: results.responseTimeTotal,
+    };
+  };
+
+  let stageIndex = -1;
+  for (let now = Date.now(); now < endTime; now = Date.now()) {
+    const elapsed = now - startTime;
+    const currentStage = timeline.findIndex((stage) => elapsed < stage.end);
+    if (currentStage !== stageIndex) {
+      stageIndex = currentStage;
+      logger.log(`Stage ${stageIndex + 1}: ${timeline[stageIndex].name}`);
+    }
+
+    const target = getTargetUsers(timeline, elapsed);
+    const running = active.filter((slot) => !slot.stopping);
+    for (let count = running.length; count < target; count++) {
+      startUser();
+    }
+    // The most recently started users leave first
+    for (let index = running.length - 1; index >= target; index--) {
+      running[index].stopping = true;
+    }
+
+    await wait(Math.min(TICK_MS, endTime - now));
+    sample(target);
+  }
+
+  for (const slot of active) {
+    slot.stopping = true;
+  }
+  await Promise.all(active.map((slot) => slot.promise));
+  sample(0);
+
+  results.stages = timeline;
+  results.totalUsers = nextUserId - 1;
+}
+
+// Open model: start a new visitor every 1/rate seconds for the duration,
+// however many are still in flight, then wait for them to finish. Arrivals
+// finding maxInFlight visitors in flight are dropped; arrivals the
+// generator starts over LATE_ARRIVAL_MS behind schedule count as late.
+// The arrival counts go to results.arrivals.
+async function runArrivals(
+  run,
+  results,
+  { rate, duration, maxInFlight, createUser, nextTask }
+) {
+  const { logger } = run;
+  const interval = 1000 / rate;
+  const startTime = Date.now();
+  const inFlight = new Set();
+  const arrivals = {
+    rate,
+    duration,
+    maxInFlight,
+    scheduled: 0,
+    started: 0,
+    dropped: 0,
+    late: 0,
+    maxLateness: 0,
+    peakInFlight: 0,
+    achievedRate: 0,
+  };
+
+  for (
+    let scheduledAt = startTime;
+    scheduledAt < startTime + duration;
+    scheduledAt = startTime + arrivals.scheduled * interval
+  ) {
+    const now = Date.now();
+    if (scheduledAt > now) {
+      await wait(scheduledAt - now);
+    }
+    arrivals.scheduled++;
+
+    if (inFlight.size >= maxInFlight) {
+      arrivals.dropped++;
+      continue;
+    }
+
+    const lateness = Date.now() - scheduledAt;
+    arrivals.maxLateness = Math.max(arrivals.maxLateness, lateness);
+    if (lateness > LATE_ARRIVAL_MS) {
+      arrivals.late++;
+    }
+
+    arrivals.started++;
+    const user = createUser(arrivals.started);
+    recordUser(results, user);
+
+    const promise = runTask(run, nextTask(user, 0), results)
+      .catch((error) => logger.error(`Test error: ${error}`))
+      .finally(() => inFlight.delete(promise));
+    inFlight.add(promise);
+    arrivals.peakInFlight = Math.max(arrivals.peakInFlight, inFlight.size);
+  }
+
+  await Promise.all(inFlight);
+
+  arrivals.achievedRate =
+    Math.round((arrivals.started / (duration / 1000)) * 100) / 100;
+  results.arrivals = arrivals;
+}
+
+module.exports = {
+  createShareAssigner,
+  createUserFactory,
+  runTask,
+  runStages,
+  runArrivals,
+};
@@ -0,0 +1,372 @@
+// lib/visit.js
+const fs = require("fs");
+const path = require("path");
+const {
+  recordSuccess,
+  recordFailure,
+  recordWaterfall,
+  recordVisitThinkTime,
+} = require("./results");
+const { getContextOptions } = require("./devices");
+const { UNTHROTTLED, applyNetworkProfile } = require("./network");
+const {
+  sampleThinkTime,
+  getThinkTimeSpec,
+  recordThinkTime,
+} = require("./think-time");
+const {
+  getLocalePage,
+  getLocaleContextOptions,
+  recordLocaleVisit,
+} = require("./locales");
+const { observeVitals, recordPageVitals } = require("./vitals");
+const { recordNavigationTiming } = require("./navigation-timing");
+const { recordResources } = require("./resources");
+const { getCacheStatus, recordTransfer } = require("./transfer");
+const { renderWaterfall } = require("./reports/waterfall");
+
+// Pause for a think time drawn from the action's distribution and record
+// it apart from the response times. Actions without a distribution take no
+// think time.
+async function think(run, results, action, step = null) {
+  const spec = getThinkTimeSpec(run.config.thinkTime, action, step);
+  if (!spec) return 0;
+  const ms = sampleThinkTime(spec);
+  if (ms > 0) {
+    await new Promise((resolve) => setTimeout(resolve, ms));
+  }
+  recordThinkTime(results, action, ms);
+  return ms;
+}
+
+// Path prefix in the logs directory for the files saved about a visit
+function getLogPrefix(run, kind, url) {
+  const timestamp = Date.now();
+  const urlSafe = url.replace(/[^a-z0-9]/gi, "_").substring(0, 50);
+  return path.join(run.logDir, `${kind}_${urlSafe}_${timestamp}`);
+}
+
+// Write the request waterfall page of a visit next to its other logs and
+// return its path
+function writeWaterfall(run, prefix, url, requestLog, title) {
+  // Create logs directory if it doesn't exist
+  if (!fs.existsSync(run.logDir)) {
+    fs.mkdirSync(run.logDir, { recursive: true });
+  }
+  const file = `${prefix}_waterfall.html`;
+  fs.writeFileSync(file, renderWaterfall(url, requestLog, { title }));
+  return file;
+}
+
+// Save the request waterfall of a sampled successful visit. Returns its
+// path, or null when it could not be written.
+function saveWaterfall(run, url, logs) {
+  try {
+    return writeWaterfall(
+      run,
+      getLogPrefix(run, "visit", url),
+      url,
+      logs.requestLog,
+      "Request Waterfall"
+    );
+  } catch (logError) {
+    run.logger.error(`Failed to save waterfall: ${logError.message}`);
+    return null;
+  }
+}
+
+// Save the request waterfall, page content, screenshot and logs of a
+// failed visit for debugging. Returns the waterfall's path, or null when
+// it could not be written.
+async function saveDebugInfo(run, url, page, logs) {
+  const prefix = getLogPrefix(run, "error", url);
+  let waterfall = null;
+
+  try {
+    // Saved first: unlike the rest it does not need a working page
+    waterfall = writeWaterfall(
+      run,
+      prefix,
+      url,
+      logs.requestLog,
+      "Request Waterfall (Failed Visit)"
+    );
+
+    // Save HTML content
+    const content = await page.content();
+    fs.writeFileSync(`${prefix}.html`, content);
+
+    // Save screenshot
+    await page.screenshot({ path: `${prefix}.png`, fullPage: false });
+
+    // Save request log
+    fs.writeFileSync(
+      `${prefix}_requests.json`,
+      JSON.stringify(logs.requestLog, null, 2)
+    );
+
+    // Save console logs
+    if (logs.consoleLogs.length > 0) {
+      fs.writeFileSync(
+        `${prefix}_console.json`,
+        JSON.stringify(logs.consoleLogs, null, 2)
+      );
+    }
+
+    // Save page errors
+    if (logs.pageErrors.length > 0) {
+      fs.writeFileSync(
+        `${prefix}_errors.json`,
+        JSON.stringify(logs.pageErrors, null, 2)
+      );
+    }
+  } catch (logError) {
+    run.logger.error(`Failed to save debug info: ${logError.message}`);
+  }
+  return waterfall;
+}
+
+// Link a saved waterfall from the visited path's metrics, relative to the
+// output directory the reports are written to
+function linkWaterfall(run, results, url, file, statusCode) {
+  if (!file) return;
+  const href = path
+    .relative(run.config.outputDir, file)
+    .split(path.sep)
+    .join("/");
+  recordWaterfall(results, url, href, statusCode);
+}
+
+// Open a fresh context emulating the user's device and network, and the
+// locale if given, on a pooled browser, capturing the request, console and
+// error logs used for debug info. The session counts as in flight until
+// close() discards the context and returns the browser to the pool.
+async function openSession(run, user, locale = null) {
+  const entry = await run.pool.acquire(user.browserType);
+
+  let context;
+  try {
+    context = await entry.browser.newContext({
+      ...getContextOptions(user),
+      ...getLocaleContextOptions(locale),
+    });
+  } catch (error) {
+    run.pool.release(entry);
+    throw error;
+  }
+  run.sessions.enter();
+
+  const close = async () => {
+    // Closing fails if the browser crashed meanwhile
+    await context.close().catch(() => {});
+    run.sessions.leave();
+    run.pool.release(entry);
+  };
+
+  // Enable request/response logging. Entries are keyed by Playwright's
+  // request object so a URL requested twice keeps both timings; timing is
+  // the browser's Resource Timing of the request (ms from its startTime,
+  // -1 for phases that did not happen).
+  const requestLog = [];
+  const logEntries = new Map();
+  context.on("request", (request) => {
+    const logEntry = {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      timestamp: Date.now(),
+    };
+    requestLog.push(logEntry);
+    logEntries.set(request, logEntry);
+  });
+
+  context.on("response", (response) => {
+    const existing = logEntries.get(response.request());
+    if (existing) {
+      const headers = response.headers();
+      existing.status = response.status();
+      existing.responseTimestamp = Date.now();
+      existing.timing = response.request().timing();
+      existing.contentType = headers["content-type"] || null;
+      existing.encoding = headers["content-encoding"] || null;
+      existing.cacheStatus = getCacheStatus(headers);
+    }
+  });
+
+  context.on("requestfinished", (request) => {
+    const existing = logEntries.get(request);
+    if (existing) {
+      existing.endTimestamp = Date.now();
+      existing.timing = request.timing();
+    }
+  });
+
+  // Requests that got no response (aborted, blocked, network errors)
+  context.on("requestfailed", (request) => {
+    const existing = logEntries.get(request);
+    if (existing) {
+      const failure = request.failure();
+      existing.failure = failure ? failure.errorText : "Request failed";
+      existing.endTimestamp = Date.now();
+      existing.timing = request.timing();
+    }
+  });
+
+  let page;
+  try {
+    if (run.config.vitals) {
+      await context.addInitScript(observeVitals);
+    }
+    page = await context.newPage();
+    if (user.network !== UNTHROTTLED) {
+      await applyNetworkProfile(
+        context,
+        page,
+        run.config.networkProfiles[user.network]
+      );
+    }
+  } catch (error) {
+    await close();
+    throw error;
+  }
+
+  // Capture console logs
+  const consoleLogs = [];
+  page.on("console", (msg) => {
+    consoleLogs.push({
+      type: msg.type(),
+      text: msg.text(),
+    });
+  });
+
+  // Capture page errors
+  const pageErrors = [];
+  page.on("pageerror", (error) => {
+    pageErrors.push(error.toString());
+  });
+
+  return { page, close, logs: { requestLog, consoleLogs, pageErrors } };
+}
+
+// Test a single URL with a user, recording the outcome into results
+async function testUrl(run, user, url, results) {
+  const { config, logger } = run;
+  if (config.verbose) {
+    logger.log(`User ${user.id} requesting: ${url}`);
+  }
+
+  const { locale } = getLocalePage(config.locales, url);
+  const { page, close, logs } = await openSession(run, user, locale);
+  results.totalRequests++;
+
+  try {
+    const startTime = Date.now();
+
+    // Request the page with retry logic
+    let retries = 0;
+    let response = null;
+    let lastError = null;
+
+    while (retries <= config.retries) {
+      try {
+        response = await page.goto(url, {
+          timeout: config.timeout,
+          waitUntil: "domcontentloaded",
+        });
+        lastError = null;
+
+        // If we get here, the navigation succeeded
+        break;
+      } catch (error) {
+        lastError = error;
+        retries++;
+
+        // If we've exhausted retries, break out
+        if (retries > config.retries) {
+          break;
+        }
+
+        if (config.verbose) {
+          logger.log(
+            `User ${user.id} retry ${retries}/${config.retries} for ${url} (${error.message})`
+          );
+        }
+
+        // Wait before retry
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+      }
+    }
+
+    const responseTime = Date.now() - startTime;
+
+    // Check if successful
+    if (response && response.status() < 400) {
+      recordSuccess(results, url, responseTime, user);
+      recordLocaleVisit(results, config.locales, url, true, responseTime);
+      if (config.verbose) {
+        logger.log(`User ${user.id} success: ${url} (${responseTime}ms)`);
+      }
+
+      // Simulate real user interaction
+      try {
+        await page.mouse.move(100, 100);
+        await page.evaluate(() => window.scrollBy(0, 300));
+      } catch (interactionError) {
+        // Ignore interaction errors
+      }
+      await recordNavigationTiming(page, url, results);
+      await recordTransfer(page, url, logs.requestLog, results);
+      await recordPageVitals(run, page, url, results);
+      if (Math.random() * 100 < config.waterfallSample) {
+        const waterfall = saveWaterfall(run, url, logs);
+        linkWaterfall(run, results, url, waterfall, response.status());
+      }
+    } else {
+      const statusCode = response ? response.status() : null;
+      const errorMessage = lastError ? lastError.message : null;
+
+      if (config.verbose) {
+        logger.log(
+          `User ${user.id} failed: ${url} (Status: ${
+            statusCode || "No response"
+          }, Error: ${errorMessage})`
+        );
+      }
+      recordFailure(results, url, statusCode, errorMessage, user);
+      recordLocaleVisit(results, config.locales, url, false);
+
+      // Save page content and screenshots for debugging - only for some users
+      if (user.id % 10 === 0) {
+        const waterfall = await saveDebugInfo(run, url, page, logs);
+        linkWaterfall(run, results, url, waterfall, statusCode);
+      }
+    }
+
+    recordResources(url, logs.requestLog, results);
+
+    // Think before the next visit, successful or not. Open-model visitors
+    // make a single visit and leave, so they would only hold their context
+    // and their in-flight slot.
+    if (!config.arrivalRate) {
+      const thinkTime = await think(run, results, "visit");
+      recordVisitThinkTime(results, url, thinkTime);
+    }
+  } catch (error) {
+    if (config.verbose) {
+      logger.log(`User ${user.id} error: ${url} (${error.message})`);
+    }
+    recordFailure(results, url, null, error.message, user);
+    recordLocaleVisit(results, config.locales, url, false);
+  } finally {
+    await close();
+  }
+}
+
+module.exports = {
+  testUrl,
+  openSession,
+  saveWaterfall,
+  saveDebugInfo,
+  linkWaterfall,
+  think,
+};
@@ -0,0 +1,178 @@
+// lib/vitals.js
+const {
+  createHistogram,
+  recordValue,
+  mergeHistogram,
+  getPercentile,
+} = require("./histogram");
+
+// User-perceived page metrics captured per visit, with the good and poor
+// limits Google uses to rate them. CLS is unitless, so it is kept in the
+// histograms scaled by 1000 to stay clear of the sub-1 bucket.
+const VITALS = {
+  ttfb: { label: "TTFB", unit: "ms", good: 800, poor: 1800, scale: 1 },
+  fcp: { label: "FCP", unit: "ms", good: 1800, poor: 3000, scale: 1 },
+  lcp: { label: "LCP", unit: "ms", good: 2500, poor: 4000, scale: 1 },
+  cls: { label: "CLS", unit: "", good: 0.1, poor: 0.25, scale: 1000 },
+  tbt: { label: "TBT", unit: "ms", good: 200, poor: 600, scale: 1 },
+  inp: { label: "INP", unit: "ms", good: 200, poor: 500, scale: 1 },
+};
+
+// Runs in every page before its own scripts: observe the performance
+// entries the vitals are built from into window.__stressVitals. CLS sums
+// all unexpected shifts, TBT all long-task time over 50ms and INP is the
+// slowest interaction, approximating the spec's windowed definitions.
+// Entry types an engine does not support are marked as such.
+function observeVitals() {
+  const vitals = { fcp: null, lcp: null, cls: 0, tbt: 0, inp: null };
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  vitals.supported = supported;
+  window.__stressVitals = vitals;
+
+  const observe = (type, onEntry, options) => {
+    if (!supported.includes(type)) return;
+    new PerformanceObserver((list) =>
+      list.getEntries().forEach(onEntry)
+    ).observe(Object.assign({ type, buffered: true }, options));
+  };
+
+  observe("paint", (entry) => {
+    if (entry.name === "first-contentful-paint") vitals.fcp = entry.startTime;
+  });
+  observe("largest-contentful-paint", (entry) => {
+    vitals.lcp = entry.renderTime || entry.loadTime || entry.startTime;
+  });
+  observe("layout-shift", (entry) => {
+    if (!entry.hadRecentInput) vitals.cls += entry.value;
+  });
+  observe("longtask", (entry) => {
+    vitals.tbt += Math.max(0, entry.duration - 50);
+  });
+  observe(
+    "event",
+    (entry) => {
+      if (entry.interactionId) {
+        vitals.inp = Math.max(vitals.inp || 0, entry.duration);
+      }
+    },
+    { durationThreshold: 16 }
+  );
+}
+
+// Read the vitals of the page's current document. Vitals the engine cannot
+// measure, and INP when nothing was interacted with, are null.
+function collectVitals(page) {
+  return page.evaluate(() => {
+    const vitals = window.__stressVitals;
+    if (!vitals) return null;
+    const [navigation] = performance.getEntriesByType("navigation");
+    const measured = (type, value) =>
+      vitals.supported.includes(type) ? value : null;
+    return {
+      ttfb: navigation ? navigation.responseStart : null,
+      fcp: vitals.fcp,
+      lcp: measured("largest-contentful-paint", vitals.lcp),
+      cls: measured("layout-shift", vitals.cls),
+      tbt: measured("longtask", vitals.tbt),
+      inp: vitals.inp,
+    };
+  });
+}
+
+function createVitalsMetrics() {
+  const metrics = {};
+  for (const name in VITALS) {
+    metrics[name] = {
+      count: 0,
+      total: 0,
+      histogram: createHistogram(),
+      avg: null,
+      p75: null,
+    };
+  }
+  return metrics;
+}
+
+function addVitals(metrics, vitals) {
+  for (const name in VITALS) {
+    const value = vitals[name];
+    if (typeof value !== "number" || !(value >= 0)) continue;
+    metrics[name].count++;
+    metrics[name].total += value;
+    recordValue(metrics[name].histogram, value * VITALS[name].scale);
+  }
+}
+
+// Capture the vitals of the page a visit or journey is about to leave and
+// record them overall and under the page's path. Does nothing unless
+// vitals are enabled; pages that cannot be read are skipped.
+async function recordPageVitals(run, page, url, results) {
+  if (!run.config.vitals) return;
+
+  const vitals = await collectVitals(page).catch(() => null);
+  if (!vitals) return;
+
+  const urlObj = new URL(url);
+  const pathKey = urlObj.origin + urlObj.pathname;
+  if (!results.vitalsByPath[pathKey]) {
+    results.vitalsByPath[pathKey] = {
+      domain: urlObj.origin,
+      path: urlObj.pathname || "/",
+      vitals: createVitalsMetrics(),
+    };
+  }
+  addVitals(results.vitals, vitals);
+  addVitals(results.vitalsByPath[pathKey].vitals, vitals);
+}
+
+// Calculate averages and p75 (the percentile the vitals are rated at)
+function finalizeVitalsMetrics(metrics) {
+  for (const name in VITALS) {
+    const { scale } = VITALS[name];
+    const entry = metrics[name];
+    entry.avg =
+      entry.count > 0
+        ? Math.round((entry.total / entry.count) * scale) / scale
+        : null;
+    entry.p75 =
+      entry.count > 0 ? getPercentile(entry.histogram, 75) / scale : null;
+  }
+  return metrics;
+}
+
+// Calculate the vitals of a run once all visits have finished
+function finalizeVitals(results) {
+  finalizeVitalsMetrics(results.vitals);
+  for (const pathKey in results.vitalsByPath) {
+    finalizeVitalsMetrics(results.vitalsByPath[pathKey].vitals);
+  }
+}
+
+// Add up the overall vitals of several runs (e.g. the runs of a load level)
+function combineVitals(resultsList) {
+  const combined = createVitalsMetrics();
+  for (const results of resultsList) {
+    for (const name in VITALS) {
+      combined[name].count += results.vitals[name].count;
+      combined[name].total += results.vitals[name].total;
+      mergeHistogram(combined[name].histogram, results.vitals[name].histogram);
+    }
+  }
+  return finalizeVitalsMetrics(combined);
+}
+
+// "good", "needs-improvement" or "poor" for a vital's value
+function rateVital(name, value) {
+  if (value <= VITALS[name].good) return "good";
+  return value <= VITALS[name].poor ? "needs-improvement" : "poor";
+}
+
+module.exports = {
+  VITALS,
+  observeVitals,
+  createVitalsMetrics,
+  recordPageVitals,
+  finalizeVitals,
+  combineVitals,
+  rateVital,
+};